@@ -0,0 +1,604 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { loadModel, ModelCache, disposeObject } from './models.js';
+import { builtInBehaviors } from './behaviors.js';
+import { buildFace } from './faces.js';
+import { StencilRegistry } from './stencil.js';
+import { Random } from './random.js';
+import { Animator } from './animation.js';
+import { StencilPortal } from './portal.js';
+import { Traversal } from './traversal.js';
+import { Focus } from './focus.js';
+import { Navigation } from './navigation.js';
+import { Input } from './input.js';
+import { Tween } from './tween.js';
+import { LoadingProgress, LoadingScreen, fadeInFace } from './loading.js';
+import { Streaming } from './streaming.js';
+import { Backgrounds } from './backgrounds.js';
+import { Lighting } from './lighting.js';
+import { Worlds } from './worlds.js';
+import { Effects } from './effects.js';
+
+const DEFAULTS = {
+	fov: 70,
+	near: 0.1,
+	far: 1000,
+	cameraPosition: [0, 0, 10],
+	lightColor: 0xFFFFFF,
+	lightIntensity: 3,
+	antialias: false,
+	// Lets lights cast shadows (see lighting.js). shadowType: "basic", "pcf", "pcfsoft" or "vsm".
+	shadows: true,
+	shadowType: "pcfsoft",
+	// Sharp screens have more pixels than CSS says. Drawing all of them is slow, so it stops at this many per CSS pixel.
+	maxPixelRatio: 2,
+	// When to draw a frame (see 'Render Scheduling' bellow): "continuous", "demand" or "paused".
+	renderMode: "continuous",
+	// Stop drawing while the tab is in the background or the canvas is scrolled out of view.
+	pauseWhenHidden: true,
+	// The longest step (in seconds) a single frame can move the animations forward.
+	// Keeps everything from jumping after the tab was in the background.
+	maxDelta: 0.1,
+	// How the 8 bits of the stencil buffer are split up between levels of nested portals
+	// (see stencil.js). [4, 4] allows 15 portals with 15 portals inside each of them.
+	stencilLevels: [8],
+	// Flying the camera through a face's window takes it into that face's world (see traversal.js).
+	traversal: true,
+	// Letting go of an orbit drag turns the camera to look straight at the closest face (see navigation.js).
+	snapToFace: false,
+	// Which keys and gamepad buttons do what (see input.js). false turns them off.
+	keys: undefined,
+	gamepad: undefined,
+	// "canvas" only takes keys while the canvas has the focus, "window" takes them from the whole page.
+	keyTarget: "canvas",
+	// Seed for engine.random and every face.random (see random.js). A ?seed= in the page's
+	// URL wins over this one, so a run can be repeated by sharing the link.
+	seed: undefined,
+	// What covers the canvas while engine.buildCube(...) loads (see loading.js). true is the built in one,
+	// false is none, and any object with show(), update(progress) and hide() replaces it.
+	loadingScreen: true,
+	// Where the Draco and KTX2 decoders are on the page's server (see formats.js).
+	dracoPath: "draco/",
+	basisPath: "basis/",
+	// How faces built with engine.buildCube(config, { lazy: true }) are loaded (see streaming.js).
+	loadConcurrency: 2,
+	backgroundLoading: true,
+	unloadAfter: null,
+};
+
+const SHADOW_TYPES = {
+	basic: THREE.BasicShadowMap,
+	pcf: THREE.PCFShadowMap,
+	pcfsoft: THREE.PCFSoftShadowMap,
+	vsm: THREE.VSMShadowMap,
+};
+
+function shadowType(name) {
+	if (!(name in SHADOW_TYPES)) {
+		throw new Error(`The shadow type has to be ${Object.keys(SHADOW_TYPES).join(", ")}, not "${name}".`);
+	}
+	return SHADOW_TYPES[name];
+}
+
+function seedFromURL() {
+	if (typeof location === 'undefined') {return null};
+	return new URLSearchParams(location.search).get('seed');
+}
+
+// The CubeEngine owns everything that used to be a module-level global in main.js:
+// the scene, the camera (with its light), the renderer, the orbit controls and the render loop.
+// Create one per container element:
+/*		const engine = new CubeEngine(container, options);
+				container: HTMLElement; --> THE ELEMENT THE CANVAS IS APPENDED TO. THE CANVAS FILLS IT, AND FOLLOWS ITS SIZE.
+				                            document.body FILLS THE WINDOW INSTEAD.
+				options: object; --> ANY OF THE KEYS IN DEFAULTS ABOVE.
+*/
+// Then either describe the whole cube with engine.buildCube(config) (see faces.js),
+// or add meshes with engine.add(...), load models with engine.loadModel(...) and
+// register per-frame animation with engine.onUpdate(...) yourself. Call engine.start() after.
+// The engine is an EventDispatcher: it fires 'enter' and 'exit' when the camera flies into a face
+// and back out (see traversal.js), 'focusstart', 'focusend' and 'blur' (see focus.js), and
+// 'loadstart', 'loadprogress', 'loadend' and 'loaderror' while files load (see loading.js),
+// and 'faceload' and 'faceunload' for lazy faces (see streaming.js).
+export class CubeEngine extends THREE.EventDispatcher {
+	constructor(container, options = {}) {
+		super();
+		this.container = container;
+		this.options = { ...DEFAULTS, ...options };
+
+		/*----- Camera, Scene, Renderer Setup -----*/
+		this.scene = new THREE.Scene();
+		this.camera = new THREE.PerspectiveCamera(this.options.fov, 1, this.options.near, this.options.far);
+		this.renderer = new THREE.WebGLRenderer({ antialias: this.options.antialias });
+		this.renderer.shadowMap.enabled = this.options.shadows;
+		this.renderer.shadowMap.type = shadowType(this.options.shadowType);
+
+		// A block canvas doesn't get the extra line space under it, which would make the container grow forever.
+		this.renderer.domElement.style.display = "block";
+		container.appendChild(this.renderer.domElement);
+		this.camera.position.fromArray(this.options.cameraPosition);
+		this.resize = this.resize.bind(this);
+		this.resize();
+		this.resizeObserver = null;
+		if (container === document.body) {
+			window.addEventListener('resize', this.resize);
+		} else {
+			this.resizeObserver = new ResizeObserver(this.resize);
+			this.resizeObserver.observe(container);
+		}
+		/*-----------------------------------------*/
+
+		/*------------- Light Setup ---------------*/
+		// The light is attatched to the camera so it moves with the camera.
+		// It lights every world that doesn't bring its own lights (see lighting.js).
+		this.light = new THREE.DirectionalLight(this.options.lightColor, this.options.lightIntensity);
+		this.camera.add(this.light);
+		this.scene.add(this.camera);
+		/*-----------------------------------------*/
+
+		/*------------ Controls -------------*/
+		this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+		this.controls.update();
+		/*-----------------------------------*/
+
+		this.stencil = new StencilRegistry(this.options.stencilLevels);
+		// Every file goes through the LoadingManager of engine.loading, so its progress can be shown.
+		this.loading = new LoadingProgress(this);
+		this.models = new ModelCache({
+			manager: this.loading.manager,
+			onProgress: (url, event) => this.loading.fileProgress(url, event),
+			renderer: this.renderer,
+			dracoPath: this.options.dracoPath,
+			basisPath: this.options.basisPath,
+		});
+		const { loadingScreen } = this.options;
+		this.loadingScreen = loadingScreen === true ? new LoadingScreen(container) : loadingScreen || null;
+		this.onLoadProgress = (event) => this.loadingScreen.update(event.progress);
+		if (this.loadingScreen) {
+			this.addEventListener('loadprogress', this.onLoadProgress);
+		}
+		this.updates = [];
+		this.behaviors = { ...builtInBehaviors };
+		this.faces = new Map();
+		this.animators = new Map();
+		this.streaming = new Streaming(this);
+		this.backgrounds = new Backgrounds(this);
+		this.worlds = new Worlds(this);
+		this.lighting = new Lighting(this);
+		this.effects = new Effects(this);
+		this.traversal = new Traversal(this);
+		this.focus = new Focus(this);
+		this.navigation = new Navigation(this);
+		this.input = new Input(this);
+		this.tweens = [];
+		this.random = new Random(seedFromURL() ?? this.options.seed);
+		this.seed = this.random.seed;
+		this.running = false;
+		this.frame = null;
+
+		/*--------- Render Scheduling -------*/
+		// "continuous" draws every frame. "demand" only draws while something moves: the camera,
+		// a tween, an animation clip that is still playing, a behavior (unless the animations are
+		// paused) or a gamepad that could be pressed. Anything else that changes the picture calls
+		// engine.invalidate().
+		// "paused" draws nothing until the mode changes, or engine.render() is called by hand.
+		this.renderMode = null;
+		this.setRenderMode(this.options.renderMode);
+		// Whether the loop stopped because nothing moved, so the time in between can be skipped.
+		this.idle = true;
+		this.hidden = false;
+		this.offscreen = false;
+		this.invalidate = this.invalidate.bind(this);
+		this.controls.addEventListener('change', this.invalidate);
+		// The loop only reads gamepads while it runs, so a gamepad showing up has to wake it up.
+		window.addEventListener('gamepadconnected', this.invalidate);
+		this.onVisibilityChange = () => {
+			this.hidden = document.hidden;
+			this.suspendOrResume();
+		};
+		this.visibilityObserver = null;
+		if (this.options.pauseWhenHidden) {
+			document.addEventListener('visibilitychange', this.onVisibilityChange);
+			if (typeof IntersectionObserver !== 'undefined') {
+				this.visibilityObserver = new IntersectionObserver((entries) => {
+					this.offscreen = !entries[entries.length - 1].isIntersecting;
+					this.suspendOrResume();
+				});
+				this.visibilityObserver.observe(this.renderer.domElement);
+			}
+		}
+		/*-----------------------------------*/
+
+		/*--------------- Time --------------*/
+		// Updates get the seconds since the last frame (delta) and the seconds the animations
+		// have been running (elapsed), so they move as fast on a 144 Hz screen as on a 60 Hz one.
+		// timeScale slows everything down (0.25) or speeds it up (2), pause() freezes it.
+		this.clock = new THREE.Clock(false);
+		this.timeScale = 1;
+		this.paused = false;
+		this.elapsed = 0;
+		/*-----------------------------------*/
+		this.loop = this.loop.bind(this);
+	}
+
+	add(...objects) {
+		this.scene.add(...objects);
+		return objects[0];
+	}
+
+	remove(...objects) {
+		this.scene.remove(...objects);
+	}
+
+	// Same arguments as the loadModel(...) function in models.js.
+	// Every file is only parsed once, see ModelCache in models.js.
+	loadModel(path, portal, options = {}) {
+		return loadModel(path, portal, { ...options, cache: this.models });
+	}
+
+	// Loads 'count' copies of a model that are drawn together, see instancing.js.
+	loadInstanced(path, portal, count, options = {}) {
+		return this.models.instanced(path, portal, count, options);
+	}
+
+	// Hands out a stencil portal handle, see stencil.js.
+	// 'parent' is optional: the portal (or handle) this one is nested inside.
+	createPortal(name, ref, parent) {
+		return this.stencil.allocate(name, ref, parent ? parent.handle ?? parent : undefined);
+	}
+
+	// Adds a StencilPortal with its own stencil number to the scene, see portal.js.
+	// 'mask' is a geometry or an object shaping the window. options: { ref } asks for a specific number,
+	// { parent } nests the new portal inside the world of another StencilPortal.
+	addPortal(name, mask, options = {}) {
+		const portal = new StencilPortal(this.createPortal(name, options.ref, options.parent), mask, { cache: this.models });
+		if (options.parent) {
+			options.parent.add(portal);
+		} else {
+			this.add(portal);
+		}
+		return portal;
+	}
+
+	// The Animator that plays the animation clips of 'object' (see animation.js).
+	// Asking again for the same object gives back the same Animator.
+	animate(object) {
+		if (!this.animators.has(object)) {
+			// A clip started while nothing moves has to wake the loop in "demand" mode.
+			this.animators.set(object, new Animator(object, this.invalidate));
+			this.invalidate();
+		}
+		return this.animators.get(object);
+	}
+
+	// Makes a behavior available to faces by name. See behaviors.js.
+	registerBehavior(name, behavior) {
+		this.behaviors[name] = behavior;
+	}
+
+	// Builds the planes, loads the models and hooks up the behaviors of a cube config (see faces.js).
+	// Resolves once every face has loaded. The loading screen covers the canvas until then.
+	/*		options: {
+				progressive: true, --> EVERY FACE SHOWS UP AS SOON AS IT HAS LOADED, AND THE LOADING SCREEN
+				                       ONLY WAITS FOR THE FIRST ONE. CALL engine.start() BEFORE, NOT AFTER.
+				fadeIn: 0.6,       --> SECONDS A FACE TAKES TO FADE IN ONCE IT HAS LOADED. 0 POPS IT IN.
+				lazy: true,        --> ONLY THE WINDOWS ARE BUILT, AND THE MODELS BEHIND THEM LOAD ONE FACE
+				                       AFTER THE OTHER, THE ONE IN VIEW FIRST (SEE streaming.js). RESOLVES ONCE
+				                       THE WORLD AND THE FACE IN VIEW HAVE LOADED.
+			}
+	*/
+	async buildCube(config, options = {}) {
+		const faces = [];
+		if (config.world) {
+			faces.push(['world', config.world]);
+		}
+		// Nested faces share the same names as the top level ones, so they are checked too.
+		const names = new Set();
+		const checkName = (face) => {
+			if (this.faces.has(face.name) || names.has(face.name)) {
+				throw new Error(`A face called "${face.name}" was already built.`);
+			}
+			names.add(face.name);
+			for (const nested of face.faces || []) {
+				checkName(nested);
+			}
+		};
+		for (const face of config.faces || []) {
+			checkName(face);
+			faces.push([face.name, face]);
+		}
+
+		// The behaviors are hooked up as soon as a face's models are there (see loadFaceContent in faces.js).
+		const register = (face) => {
+			this.faces.set(face.name, face);
+			for (const nested of face.faces) {
+				register(nested);
+			}
+		};
+		const show = (face) => {
+			register(face);
+			if (options.fadeIn) {
+				fadeInFace(this, face, options.fadeIn);
+			}
+			this.invalidate();
+		};
+
+		const screen = this.loadingScreen;
+		let covered = Boolean(screen);
+		const uncover = () => {
+			if (!covered) {return};
+			covered = false;
+			screen.hide();
+		};
+		if (screen) {
+			screen.show();
+		}
+		try {
+			if (options.lazy) {
+				const built = await Promise.all(faces.map(([name, face]) => buildFace(this, name, face, null, { lazy: true })));
+				for (const face of built) {
+					register(face);
+				}
+				this.streaming.fadeIn = options.fadeIn ?? 0;
+				const inView = this.faceInView();
+				const first = [];
+				for (const face of built) {
+					if (face.name === 'world' || face === inView) {
+						first.push(this.streaming.load(face));
+					}
+				}
+				this.streaming.add(built);
+				this.invalidate();
+				await Promise.all(first);
+				return built;
+			}
+			if (!options.progressive) {
+				const built = await Promise.all(faces.map(([name, face]) => buildFace(this, name, face)));
+				for (const face of built) {
+					show(face);
+				}
+				return built;
+			}
+			return await Promise.all(faces.map(async ([name, face]) => {
+				const built = await buildFace(this, name, face);
+				show(built);
+				uncover();
+				return built;
+			}));
+		} finally {
+			uncover();
+		}
+	}
+
+	getFace(name) {
+		return this.faces.get(name);
+	}
+
+	// Grows the window of a face, or turns the camera to it. See focus.js.
+	// Without a face, focuses the one the camera looks at the most.
+	focusFace(face, options) {
+		return this.focus.focus(face, options);
+	}
+
+	blurFace() {
+		this.focus.blur();
+	}
+
+	faceInView() {
+		return this.focus.faceInView();
+	}
+
+	// Turns the camera to the face next to the one in view: "up", "down", "left" or "right".
+	// See navigation.js.
+	navigate(direction, options) {
+		return this.navigation.navigate(direction, options);
+	}
+
+	// Unfocuses and moves the camera back to 'cameraPosition', looking at the center.
+	resetCamera(options) {
+		this.blurFace();
+		return this.navigation.reset(options);
+	}
+
+	// Starts a tween that runs until it's done, see tween.js.
+	tween(options) {
+		const tween = new Tween(options);
+		this.tweens.push(tween);
+		this.invalidate();
+		return tween;
+	}
+
+	// Registers a function that is called once per frame, right after the scene is drawn,
+	// as update(delta, elapsed) (both in seconds, see 'Time' above).
+	// Returns a function that unregisters it again.
+	onUpdate(update) {
+		this.updates.push(update);
+		this.invalidate();
+		return () => {
+			const index = this.updates.indexOf(update);
+			if (index !== -1) {
+				this.updates.splice(index, 1);
+			}
+		};
+	}
+
+	// Matches the canvas and the camera to the size of the container. Called by itself when it changes.
+	resize() {
+		const fullWindow = this.container === document.body;
+		const width = fullWindow ? window.innerWidth : this.container.clientWidth;
+		const height = fullWindow ? window.innerHeight : this.container.clientHeight;
+		// A hidden container has no size. Keep the old one until it shows up again.
+		if (width === 0 || height === 0) {return};
+		this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.options.maxPixelRatio));
+		this.renderer.setSize(width, height);
+		this.camera.aspect = width / height;
+		this.camera.updateProjectionMatrix();
+		this.dispatchEvent({ type: 'resize', width, height });
+		// Resizing clears the canvas. The next frame draws it again, unless drawing is paused or hidden.
+		this.invalidate();
+	}
+
+	render() {
+		// Worlds with their own lights or fog are drawn in passes of their own.
+		// With post-processing effects (see effects.js) they're drawn into a render target first.
+		if (this.effects.isEmpty()) {
+			this.worlds.render(this.scene, this.camera);
+		} else {
+			this.effects.render();
+		}
+	}
+
+	loop() {
+		this.frame = null;
+		this.input.update();
+		if (this.options.traversal) {
+			this.traversal.update();
+		}
+		this.streaming.update();
+		this.render();
+		const frameDelta = Math.min(this.clock.getDelta(), this.options.maxDelta);
+		// Tweens move the camera and the windows, so they don't stop when the animations do.
+		for (const tween of this.tweens.slice()) {
+			if (tween.update(frameDelta)) {
+				this.tweens.splice(this.tweens.indexOf(tween), 1);
+			}
+		}
+		this.focus.update();
+		const delta = this.paused ? 0 : frameDelta * this.timeScale;
+		this.elapsed += delta;
+		for (const animator of this.animators.values()) {
+			animator.update(delta);
+		}
+		for (const update of this.updates.slice()) {
+			update(delta, this.elapsed);
+		}
+		if (this.renderMode === "continuous" || this.isMoving()) {
+			this.invalidate();
+		} else {
+			this.idle = true;
+		}
+	}
+
+	// Whether the next frame will look different from this one without anybody calling invalidate().
+	isMoving() {
+		if (this.tweens.length !== 0 || this.input.readGamepads().some(Boolean)) {return true};
+		if (this.paused) {return false};
+		if (this.updates.length !== 0) {return true};
+		for (const animator of this.animators.values()) {
+			if (animator.isPlaying()) {return true};
+		}
+		return false;
+	}
+
+	// Asks for a frame to be drawn. Does nothing when one is already coming, or nothing should be drawn.
+	invalidate() {
+		if (!this.running || this.frame !== null || this.renderMode === "paused" || this.hidden || this.offscreen) {return};
+		if (this.idle) {
+			// Nothing moved while the loop was idle, so that time doesn't count.
+			this.clock.getDelta();
+			this.idle = false;
+		}
+		this.frame = requestAnimationFrame(this.loop);
+	}
+
+	setRenderMode(mode) {
+		if (!["continuous", "demand", "paused"].includes(mode)) {
+			throw new Error(`The render mode has to be "continuous", "demand" or "paused", not "${mode}".`);
+		}
+		this.renderMode = mode;
+		if (mode === "paused") {
+			this.cancelFrame();
+		} else {
+			this.invalidate();
+		}
+	}
+
+	cancelFrame() {
+		if (this.frame !== null) {
+			cancelAnimationFrame(this.frame);
+			this.frame = null;
+		}
+		this.idle = true;
+	}
+
+	// Called when the tab or the canvas is hidden or shown again.
+	suspendOrResume() {
+		if (this.hidden || this.offscreen) {
+			this.cancelFrame();
+		} else {
+			this.invalidate();
+		}
+	}
+
+	start() {
+		if (this.running) {return};
+		this.running = true;
+		this.clock.start();
+		this.idle = false;
+		this.invalidate();
+	}
+
+	stop() {
+		if (!this.running) {return};
+		this.running = false;
+		this.clock.stop();
+		this.cancelFrame();
+	}
+
+	// Freezes the animations. The camera can still be moved around while paused.
+	pause() {
+		this.paused = true;
+	}
+
+	resume() {
+		if (!this.paused) {return};
+		this.paused = false;
+		// Throw away the time that passed while paused.
+		this.clock.getDelta();
+		this.invalidate();
+	}
+
+	// 1 is normal speed, 0.25 is slow motion, 2 is double speed.
+	setTimeScale(timeScale) {
+		this.timeScale = timeScale;
+	}
+
+	// Stops the loop and frees everything on the GPU. The engine can't be used afterwards.
+	dispose() {
+		this.stop();
+		this.controls.removeEventListener('change', this.invalidate);
+		window.removeEventListener('gamepadconnected', this.invalidate);
+		this.removeEventListener('loadprogress', this.onLoadProgress);
+		if (this.loadingScreen && this.loadingScreen.dispose) {
+			this.loadingScreen.dispose();
+		}
+		document.removeEventListener('visibilitychange', this.onVisibilityChange);
+		if (this.visibilityObserver) {
+			this.visibilityObserver.disconnect();
+		}
+		if (this.resizeObserver) {
+			this.resizeObserver.disconnect();
+		} else {
+			window.removeEventListener('resize', this.resize);
+		}
+		this.input.dispose();
+		this.navigation.dispose();
+		this.streaming.dispose();
+		this.lighting.dispose();
+		this.worlds.dispose();
+		this.effects.dispose();
+		this.controls.dispose();
+		disposeObject(this.scene);
+		this.models.dispose();
+		this.backgrounds.dispose();
+		this.updates.length = 0;
+		this.tweens.length = 0;
+		this.faces.clear();
+		for (const animator of this.animators.values()) {
+			animator.dispose();
+		}
+		this.animators.clear();
+		this.renderer.dispose();
+		this.renderer.domElement.remove();
+	}
+};
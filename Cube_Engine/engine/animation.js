@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+/*------------ Animation Clips ------------*/
+// Keyframe animations made in Blockbench or Blender are kept on the loaded model as
+// model.animations, so they don't have to be written by hand in a behavior.
+// engine.animate(model) gives the model an Animator, which the render loop moves forward
+// every frame (slowed down, sped up and paused together with everything else):
+/*		const fox = await engine.loadModel("models/fox.gltf", portal);
+		const animator = engine.animate(fox);
+		animator.play("Walk");                      --> LOOPS FOREVER.
+		animator.play("Jump", { loop: false });     --> PLAYS ONCE AND STOPS ON THE LAST FRAME.
+		animator.play("Spin", { loop: "pingpong" });--> PLAYS FORWARDS, THEN BACKWARDS, FOREVER.
+		animator.play("Wave", { loop: 3 });         --> PLAYS 3 TIMES.
+		animator.crossFade("Run", 0.5);             --> BLENDS FROM THE LAST CLIP TO "Run" IN HALF A SECOND.
+		animator.stop();
+*/
+// The stencil settings live on the materials, so animated (and skinned) models stay inside
+// their portal like any other model.
+// Faces in a cube config can start a clip with 'animation: "Walk"' on a model (see faces.js).
+
+function setLoop(action, loop) {
+	if (loop === true) {
+		action.setLoop(THREE.LoopRepeat, Infinity);
+	} else if (loop === false) {
+		action.setLoop(THREE.LoopOnce, 1);
+		action.clampWhenFinished = true;
+	} else if (loop === "pingpong") {
+		action.setLoop(THREE.LoopPingPong, Infinity);
+	} else if (Number.isInteger(loop) && loop > 0) {
+		action.setLoop(THREE.LoopRepeat, loop);
+	} else {
+		throw new Error(`Animation loop has to be true, false, "pingpong" or a number of repetitions, not ${loop}.`);
+	}
+}
+
+export class Animator {
+	// 'onPlay' is called whenever a clip starts, so the engine draws again (see isPlaying() bellow).
+	constructor(object, onPlay = null) {
+		this.object = object;
+		this.onPlay = onPlay;
+		this.mixer = new THREE.AnimationMixer(object);
+		this.clips = new Map(object.animations.map((clip) => [clip.name, clip]));
+		this.current = null;
+		// Every action that was played, to tell whether any of them still moves.
+		this.actions = new Set();
+	}
+
+	clip(name) {
+		const clip = this.clips.get(name);
+		if (!clip) {
+			const names = [...this.clips.keys()].join(", ") || "none";
+			throw new Error(`Model "${this.object.name}" has no animation clip called "${name}". Its clips are: ${names}.`);
+		}
+		return clip;
+	}
+
+	action(name) {
+		return this.mixer.clipAction(this.clip(name));
+	}
+
+	// Starts a clip from the beginning. Options:
+	// loop (true, false, "pingpong" or a count, defaults to true), timeScale (1 is normal speed)
+	// and fadeIn (seconds).
+	play(name, options = {}) {
+		const action = this.action(name);
+		setLoop(action, options.loop ?? true);
+		action.timeScale = options.timeScale ?? 1;
+		action.reset().play();
+		this.actions.add(action);
+		if (this.onPlay) {
+			this.onPlay();
+		}
+		if (options.fadeIn) {
+			action.fadeIn(options.fadeIn);
+		}
+		this.current = action;
+		return action;
+	}
+
+	// Like play(...), but blends over from the clip that was playing before.
+	crossFade(name, duration = 0.5, options = {}) {
+		const previous = this.current;
+		const action = this.play(name, options);
+		if (previous && previous !== action) {
+			previous.crossFadeTo(action, duration, false);
+		}
+		return action;
+	}
+
+	// Stops one clip, or every clip when no name is given.
+	stop(name) {
+		if (name === undefined) {
+			this.mixer.stopAllAction();
+			this.current = null;
+			return;
+		}
+		const action = this.action(name);
+		action.stop();
+		if (this.current === action) {
+			this.current = null;
+		}
+	}
+
+	// Whether a clip still moves the model. A clip that played once (loop: false) stops on its last frame.
+	isPlaying() {
+		for (const action of this.actions) {
+			if (action.isRunning()) {return true};
+		}
+		return false;
+	}
+
+	update(delta) {
+		this.mixer.update(delta);
+	}
+
+	dispose() {
+		this.mixer.stopAllAction();
+		this.mixer.uncacheRoot(this.object);
+	}
+};
+/*-----------------------------------------*/
@@ -0,0 +1,239 @@
+import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { setStencil } from './stencil.js';
+
+/*-------------- Backgrounds --------------*/
+// Every world can have its own sky, drawn behind everything else but only through its own window.
+// It's an image instead of a huge sphere model, so it costs a fraction of the download:
+/*		background: "skies/beach.jpg",            --> AN EQUIRECTANGULAR IMAGE (2:1, LIKE A PHOTO SPHERE).
+		background: "skies/sunset.hdr",           --> AN HDR (.hdr OR .exr) EQUIRECTANGULAR IMAGE.
+		background: ["px.jpg", "nx.jpg", "py.jpg", "ny.jpg", "pz.jpg", "nz.jpg"],  --> A CUBE MAP.
+		background: {
+			path: "skies/beach.jpg",              --> ANY OF THE ABOVE.
+			environment: true,                    --> THE MODELS OF THE FACE REFLECT IT TOO (METALLIC AND SHINY ONES SHOW IT THE MOST).
+			intensity: 1,                         --> BRIGHTER OR DARKER.
+			rotation: [0, Math.PI, 0],            --> TURNS THE SKY.
+		},
+*/
+// Or just a color, which fills the window before anything in the world is drawn (good with fog, see worlds.js):
+/*		fill: "midnightblue",
+*/
+// Both go on a face (or the world) in a cube config, see faces.js.
+// When the camera flies into a face, its sky becomes the one seen everywhere (see traversal.js).
+
+// Drawn after the windows are cut into the stencil buffer (see maskRenderOrder in portal.js),
+// but before everything else. It's drawn as far away as it gets, so models with 'stencil: false'
+// that were drawn before it in another pass (see lighting.js) stay in front.
+const BACKGROUND_RENDER_ORDER = -0.5;
+
+let box = null;
+
+function backgroundBox() {
+	if (!box) {
+		box = new THREE.BoxGeometry(1, 1, 1);
+		box.deleteAttribute('normal');
+		box.deleteAttribute('uv');
+	}
+	return box;
+}
+
+// Sets up a box around the camera with 'material', drawn in the world of 'portal' behind everything.
+function backgroundMesh(material, portal) {
+	setStencil(material, portal);
+	const mesh = new THREE.Mesh(backgroundBox(), material);
+	mesh.isPortalBackground = true;
+	mesh.renderOrder = BACKGROUND_RENDER_ORDER;
+	mesh.frustumCulled = false;
+	// Keeps the box around the camera, so it never gets closer.
+	mesh.onBeforeRender = function (renderer, scene, camera) {
+		this.matrixWorld.copyPosition(camera.matrixWorld);
+	};
+	return mesh;
+}
+
+// The same options, whatever way they were written.
+export function backgroundOptions(background) {
+	if (typeof background === 'string' || Array.isArray(background)) {
+		return { path: background, environment: false, intensity: 1, rotation: null };
+	}
+	return { environment: false, intensity: 1, rotation: null, ...background };
+}
+
+// A box around the camera that shows 'texture' (a cube texture, see Backgrounds.load) in the world of 'portal'.
+export function createBackground(texture, portal, options = {}) {
+	const material = new THREE.ShaderMaterial({
+		name: 'PortalBackgroundMaterial',
+		uniforms: THREE.UniformsUtils.clone(THREE.ShaderLib.backgroundCube.uniforms),
+		vertexShader: THREE.ShaderLib.backgroundCube.vertexShader,
+		fragmentShader: THREE.ShaderLib.backgroundCube.fragmentShader,
+		side: THREE.BackSide,
+		depthWrite: false,
+		fog: false,
+	});
+	material.uniforms.envMap.value = texture;
+	// Cube maps from images are mirrored compared to the ones three.js draws itself.
+	material.uniforms.flipEnvMap.value = texture.isRenderTargetTexture ? 1 : -1;
+	material.uniforms.backgroundIntensity.value = options.intensity ?? 1;
+	material.toneMapped = texture.colorSpace !== THREE.SRGBColorSpace;
+	// The renderer picks the right shader for a cube texture by looking at material.envMap.
+	Object.defineProperty(material, 'envMap', {
+		get() {
+			return this.uniforms.envMap.value;
+		},
+	});
+
+	const mesh = backgroundMesh(material, portal);
+	mesh.name = "background";
+	if (options.rotation) {
+		mesh.rotation.fromArray(options.rotation);
+	}
+	return mesh;
+}
+
+// A box around the camera in one color, filling the window of 'portal' behind everything.
+export function createFill(color, portal) {
+	const material = new THREE.ShaderMaterial({
+		name: 'PortalFillMaterial',
+		uniforms: { color: { value: new THREE.Color(color) } },
+		vertexShader: `
+			#include <common>
+			void main() {
+				#include <begin_vertex>
+				#include <project_vertex>
+				gl_Position.z = gl_Position.w;
+			}
+		`,
+		fragmentShader: `
+			uniform vec3 color;
+			void main() {
+				gl_FragColor = vec4(color, 1.0);
+				#include <colorspace_fragment>
+			}
+		`,
+		side: THREE.BackSide,
+		depthWrite: false,
+		fog: false,
+	});
+	material.toneMapped = false;
+	const mesh = backgroundMesh(material, portal);
+	mesh.name = "fill";
+	return mesh;
+}
+
+// Lets the materials of everything drawn through 'portal' reflect 'texture'.
+// Materials that already have their own environment map keep it.
+// Returns the materials that were changed, to take it off them again.
+export function applyEnvironment(portal, texture) {
+	const changed = [];
+	portal.traverseContent((node) => {
+		if (!node.material) {return};
+		for (const material of Array.isArray(node.material) ? node.material : [node.material]) {
+			if (material.isShaderMaterial || !('envMap' in material) || material.envMap) {continue};
+			material.envMap = texture;
+			material.needsUpdate = true;
+			changed.push(material);
+		}
+	});
+	return changed;
+}
+
+// Loads background images once, and turns them into cube textures. The engine has one as engine.backgrounds.
+export class Backgrounds {
+	constructor(engine) {
+		this.engine = engine;
+		this.textures = new Map();
+		this.users = new Map();
+		// The render target behind every texture made from an equirectangular image.
+		this.targets = new Map();
+	}
+
+	key(path) {
+		return Array.isArray(path) ? path.join("|") : path;
+	}
+
+	// Resolves with a cube texture. Every call with the same path shares it, until release(path).
+	// A call whose image doesn't load gives its use back by itself.
+	async load(path) {
+		const key = this.key(path);
+		this.users.set(key, (this.users.get(key) ?? 0) + 1);
+		if (!this.textures.has(key)) {
+			const texture = this.loadTexture(path).catch((error) => {
+				this.textures.delete(key);
+				throw error;
+			});
+			this.textures.set(key, texture);
+		}
+		try {
+			return await this.textures.get(key);
+		} catch (error) {
+			this.release(path);
+			throw error;
+		}
+	}
+
+	async loadTexture(path) {
+		const manager = this.engine.loading.manager;
+		if (Array.isArray(path)) {
+			if (path.length !== 6) {
+				throw new Error(`A cube map background needs 6 images (px, nx, py, ny, pz, nz), not ${path.length}.`);
+			}
+			const texture = await new THREE.CubeTextureLoader(manager).loadAsync(path);
+			texture.colorSpace = THREE.SRGBColorSpace;
+			return texture;
+		}
+		const extension = path.split(/[?#]/)[0].split(".").pop().toLowerCase();
+		let equirect;
+		if (extension === "hdr") {
+			equirect = await new RGBELoader(manager).loadAsync(path);
+		} else if (extension === "exr") {
+			equirect = await new EXRLoader(manager).loadAsync(path);
+		} else {
+			equirect = await new THREE.TextureLoader(manager).loadAsync(path);
+			equirect.colorSpace = THREE.SRGBColorSpace;
+		}
+		// Drawn onto the 6 sides of a cube once, so every background is a cube texture.
+		const target = new THREE.WebGLCubeRenderTarget(equirect.image.height);
+		target.fromEquirectangularTexture(this.engine.renderer, equirect);
+		equirect.dispose();
+		this.targets.set(target.texture, target);
+		return target.texture;
+	}
+
+	// Gives back one use of 'path'. Once every face gave it back, the texture is freed.
+	release(path) {
+		const key = this.key(path);
+		const users = (this.users.get(key) ?? 0) - 1;
+		if (users > 0) {
+			this.users.set(key, users);
+			return;
+		}
+		this.users.delete(key);
+		const texture = this.textures.get(key);
+		if (!texture) {return};
+		this.textures.delete(key);
+		texture.then((texture) => this.disposeTexture(texture), () => {});
+	}
+
+	async dispose() {
+		const textures = await Promise.allSettled([...this.textures.values()]);
+		for (const texture of textures) {
+			if (texture.status === 'fulfilled') {
+				this.disposeTexture(texture.value);
+			}
+		}
+		this.textures.clear();
+		this.users.clear();
+	}
+
+	// A texture made from an equirectangular image is freed with its render target.
+	disposeTexture(texture) {
+		if (this.targets.has(texture)) {
+			this.targets.get(texture).dispose();
+			this.targets.delete(texture);
+		} else {
+			texture.dispose();
+		}
+	}
+};
+/*-----------------------------------------*/
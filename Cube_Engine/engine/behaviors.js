@@ -0,0 +1,51 @@
+/*--------------- Behaviors ---------------*/
+// A behavior is what a face does every frame. Faces name their behavior in the cube config
+// (see faces.js), and the engine looks the name up in its behavior list.
+// A behavior is a function that receives the loaded face and the 'params' from the config,
+// and returns the update function that the render loop calls every frame:
+/*		engine.registerBehavior("myBehavior", (face, params, engine) => {
+			const rings = face.get("ring");
+			return (delta, elapsed) => { rings[0].rotation.y += params.speed * delta; };
+		});
+*/
+// 'delta' is the number of seconds since the last frame. Multiply every speed by it, so the
+// animation runs at the same speed on every screen, and slows down with engine.setTimeScale(...).
+// 'elapsed' is the number of seconds the animations have been running.
+// Any state the animation needs (directions, velocities...) can live inside the behavior
+// function, so two faces using the same behavior don't share it.
+// Use face.random instead of Math.random(), so a seed plays the animation the same way every time
+// (see random.js).
+
+// These two are available in every engine. Their speeds are in radians per second.
+export const builtInBehaviors = {
+	// Rotates every object (or only the ones named by params.target) around its own axes.
+	// 'step' is added to the speed of each following object, so they drift apart over time.
+	// Axes left at 0 are not rotated at all.
+	spin(face, params) {
+		const { x = 0, y = 0, z = 0, step = 0 } = params;
+		const objects = params.target ? face.get(params.target) : face.objects;
+		return (delta) => {
+			let offset = 0;
+			for (let item = 0; item < objects.length; item++) {
+				if (x !== 0) {objects[item].rotateX((x+offset) * delta)};
+				if (y !== 0) {objects[item].rotateY((y+offset) * delta)};
+				if (z !== 0) {objects[item].rotateZ((z+offset) * delta)};
+				offset = offset + step;
+			}
+		};
+	},
+
+	// Adds to the rotation angles of every object (or only the ones named by params.target).
+	rotate(face, params) {
+		const { x = 0, y = 0, z = 0 } = params;
+		const objects = params.target ? face.get(params.target) : face.objects;
+		return (delta) => {
+			for (const object of objects) {
+				object.rotation.x += x * delta;
+				object.rotation.y += y * delta;
+				object.rotation.z += z * delta;
+			}
+		};
+	},
+};
+/*-----------------------------------------*/
@@ -0,0 +1,208 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { Pass } from 'three/addons/postprocessing/Pass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { CopyShader } from 'three/addons/shaders/CopyShader.js';
+import { MAX_STENCIL_REF } from './stencil.js';
+
+/*------------ Post-Processing ------------*/
+// Effects from three.js (three/addons/postprocessing/) change the look of the whole picture, or only
+// of what's seen through some windows:
+/*		import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+		import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
+		engine.effects.add(new UnrealBloomPass(new THREE.Vector2(512, 512), 0.8, 0.4, 0.5), ["back"]);
+		engine.effects.add(new FilmPass(0.6), ["top", portal, 3]);  --> FACE NAMES, PORTALS, HANDLES OR STENCIL NUMBERS.
+		engine.effects.add(new FilmPass());                         --> THE WHOLE PICTURE.
+		engine.effects.remove(pass);
+*/
+// Or on a face (or the world) in a cube config: effects: [new FilmPass(0.6)] (see faces.js).
+// Effects run in the order they were added. The effects of a window show on the faces nested in
+// it too, and "world" is only what's outside of every window.
+// The worlds are drawn into a render target first (in their passes, see worlds.js), where every
+// pixel keeps the stencil number of the window it was seen through, and an effect limited to some
+// windows only changes the pixels with their numbers. So only effects that change the picture
+// they're given can be limited (ShaderPass, UnrealBloomPass, FilmPass, ...). The ones that draw the
+// scene again themselves (RenderPixelatedPass, SSAOPass, ...) don't know about the windows.
+// A limited effect runs once for every window it's limited to. Models with 'stencil: false' count
+// as part of the window they're in front of.
+// Without effects the picture is drawn straight onto the canvas. With them the 'antialias' option
+// doesn't smooth the edges anymore, an effect with the FXAAShader (last) does that instead.
+
+// Draws the worlds into the render target of the composer, instead of onto the canvas.
+class WorldsPass extends Pass {
+	constructor(engine) {
+		super();
+		this.engine = engine;
+		this.needsSwap = false;
+	}
+
+	render(renderer, writeBuffer, readBuffer) {
+		renderer.setRenderTarget(readBuffer);
+		this.engine.worlds.render(this.engine.scene, this.engine.camera);
+	}
+};
+
+// Runs the pass of 'effect' only on the pixels seen through its windows.
+class PortalEffectPass extends Pass {
+	constructor(effects, effect) {
+		super();
+		this.effects = effects;
+		this.effect = effect;
+		this.needsSwap = effect.pass.needsSwap;
+	}
+
+	setSize(width, height) {
+		this.effect.pass.setSize(width, height);
+	}
+
+	render(renderer, writeBuffer, readBuffer, deltaTime) {
+		const pass = this.effect.pass;
+		pass.renderToScreen = false;
+		if (pass.needsSwap) {
+			// The pass only writes the pixels of its windows, the others keep the picture as it was.
+			this.effects.copyPass.render(renderer, writeBuffer, readBuffer);
+		}
+		const gl = renderer.getContext();
+		const stencil = renderer.state.buffers.stencil;
+		stencil.setTest(true);
+		stencil.setOp(gl.KEEP, gl.KEEP, gl.KEEP);
+		for (const portal of this.effect.portals) {
+			const { ref, mask } = this.effects.stencilTest(portal);
+			stencil.setFunc(gl.EQUAL, ref, mask);
+			// Otherwise the materials of the pass would turn the stencil test off again.
+			stencil.setLocked(true);
+			pass.render(renderer, writeBuffer, readBuffer, deltaTime, true);
+			stencil.setLocked(false);
+		}
+		stencil.setTest(false);
+	}
+};
+
+export class Effects {
+	constructor(engine) {
+		this.engine = engine;
+		// Every effect, in order: { pass, portals }. 'portals' are stencil handles, null is the whole picture.
+		this.effects = [];
+		// Made once the first effect is added.
+		this.composer = null;
+		this.depthStencil = null;
+		this.worldsPass = new WorldsPass(engine);
+		this.outputPass = new OutputPass();
+		this.copyPass = new ShaderPass(CopyShader);
+		this.copyPass.material.blending = THREE.NoBlending;
+		this.onResize = () => this.setSize();
+		engine.addEventListener('resize', this.onResize);
+	}
+
+	// Adds 'pass' after the other effects, limited to 'portals' (see the top of this file), or on
+	// the whole picture without them. Adding the same pass again limits it to more windows.
+	add(pass, portals = null) {
+		const handles = portals ? portals.map((portal) => this.handle(portal)) : null;
+		const effect = this.effects.find((effect) => effect.pass === pass);
+		if (effect) {
+			effect.portals = effect.portals && handles ? [...effect.portals, ...handles] : null;
+		} else {
+			this.effects.push({ pass, portals: handles });
+		}
+		this.rebuild();
+		return pass;
+	}
+
+	remove(pass) {
+		const index = this.effects.findIndex((effect) => effect.pass === pass);
+		if (index === -1) {return};
+		this.effects.splice(index, 1);
+		this.rebuild();
+	}
+
+	isEmpty() {
+		return this.effects.length === 0;
+	}
+
+	// The stencil handle of a face name, a portal, a handle or a stencil number.
+	handle(portal) {
+		let handle = portal;
+		if (typeof portal === 'string') {
+			handle = this.engine.stencil.get(portal);
+		} else if (typeof portal === 'number') {
+			handle = this.engine.stencil.byRef.get(portal);
+		} else if (portal && portal.isStencilPortal) {
+			handle = portal.handle;
+		}
+		if (!handle || handle.ref === undefined) {
+			throw new Error(`An effect can only be limited to faces and portals that exist, "${portal}" doesn't.`);
+		}
+		return handle;
+	}
+
+	// What the stencil buffer holds where 'handle' is seen through: the pixel's number has to
+	// equal 'ref' in the bits of 'mask'. Nested portals keep the bits of their parents (see stencil.js).
+	stencilTest(handle) {
+		// While the camera is inside a face, the worlds are drawn with other numbers (see traversal.js).
+		const ref = this.engine.traversal.mapRef(handle.ref);
+		return { ref, mask: handle.ref === 0 ? MAX_STENCIL_REF : handle.mask };
+	}
+
+	createComposer() {
+		const renderer = this.engine.renderer;
+		const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+		// Both buffers of the composer share the depth and stencil buffer, so every pass can still
+		// tell through which window each pixel was drawn.
+		this.depthStencil = new THREE.DepthTexture(size.x, size.y);
+		this.depthStencil.format = THREE.DepthStencilFormat;
+		this.depthStencil.type = THREE.UnsignedInt248Type;
+		const target = new THREE.WebGLRenderTarget(size.x, size.y, {
+			type: THREE.HalfFloatType,
+			stencilBuffer: true,
+			depthTexture: this.depthStencil,
+		});
+		this.composer = new EffectComposer(renderer, target);
+		this.composer.renderTarget2.depthTexture = this.depthStencil;
+		this.setSize();
+	}
+
+	// Puts the passes into the composer again, after an effect was added or removed.
+	rebuild() {
+		if (!this.composer) {
+			this.createComposer();
+		}
+		const composer = this.composer;
+		composer.passes.length = 0;
+		composer.addPass(this.worldsPass);
+		for (const effect of this.effects) {
+			composer.addPass(effect.portals ? new PortalEffectPass(this, effect) : effect.pass);
+		}
+		// Tone mapping and the color space of the canvas, which three.js leaves out in render targets.
+		composer.addPass(this.outputPass);
+		this.engine.invalidate();
+	}
+
+	// Follows the size of the canvas.
+	setSize() {
+		if (!this.composer) {return};
+		const renderer = this.engine.renderer;
+		const size = renderer.getSize(new THREE.Vector2());
+		this.composer.setPixelRatio(renderer.getPixelRatio());
+		this.composer.setSize(size.x, size.y);
+	}
+
+	render() {
+		this.composer.render();
+	}
+
+	dispose() {
+		this.engine.removeEventListener('resize', this.onResize);
+		for (const effect of this.effects) {
+			effect.pass.dispose();
+		}
+		this.effects.length = 0;
+		if (this.composer) {
+			this.composer.dispose();
+			this.depthStencil.dispose();
+		}
+		this.outputPass.dispose();
+		this.copyPass.dispose();
+	}
+};
+/*-----------------------------------------*/
@@ -0,0 +1,425 @@
+import * as THREE from 'three';
+import { StencilPortal } from './portal.js';
+import { backgroundOptions, createBackground, createFill, applyEnvironment } from './backgrounds.js';
+
+/*-------------- Cube Config --------------*/
+// Instead of writing a loadXFace()/animateXFace() pair for every face, a cube is described
+// as a plain object and handed to engine.buildCube(config). It looks like this:
+/*		{
+			world: {                      --> OPTIONAL. CONTENT OUTSIDE OF EVERY FACE (STENCIL REF 0).
+				models: [ ... ],
+				background, fill, fog, lights, effects,
+				behavior, params
+			},
+			faces: [
+				{
+					name: "front",            --> USED BY engine.getFace(name).
+					plane: { side: "front" }, --> THE STENCIL 'WINDOW' FOR THIS FACE, SEE PLANE OPTIONS BELLOW.
+					stencilRef: 2,            --> OPTIONAL. ASKS THE STENCIL REGISTRY FOR THIS NUMBER INSTEAD OF THE NEXT FREE ONE.
+					models: [ ... ],          --> WHAT TO LOAD BEHIND THE WINDOW, SEE MODEL OPTIONS BELLOW.
+					background: "sky.jpg",    --> OPTIONAL. THE SKY OF THIS FACE'S WORLD: AN IMAGE, AN HDR OR A CUBE MAP,
+					                              AND WHETHER THE MODELS REFLECT IT (SEE backgrounds.js).
+					fill: "black",            --> OPTIONAL. A COLOR THAT FILLS THE WINDOW BEHIND THE MODELS (SEE backgrounds.js).
+					fog: { color: "black", near: 10, far: 100 },  --> OPTIONAL. FOG IN THIS FACE'S WORLD ONLY (SEE worlds.js).
+					lights: [ ... ],          --> OPTIONAL. LIGHTS THAT ONLY LIGHT THIS FACE'S WORLD, INSTEAD OF THE
+					                              CAMERA LIGHT (SEE lighting.js).
+					effects: [ ... ],         --> OPTIONAL. POST-PROCESSING PASSES THAT ONLY CHANGE WHAT'S SEEN THROUGH
+					                              THIS WINDOW (SEE effects.js).
+					behavior: "spin",         --> NAME OF A REGISTERED BEHAVIOR (behaviors.js), OR A FUNCTION.
+					params: { y: 0.01 },      --> HANDED TO THE BEHAVIOR.
+					faces: [ ... ],           --> OPTIONAL. FACES NESTED INSIDE THIS FACE'S WORLD, ONLY SEEN THROUGH ITS
+					                              WINDOW. NEEDS MORE THAN ONE STENCIL LEVEL (SEE stencil.js).
+				},
+			],
+		}
+*/
+// Plane options:
+/*		side: string; --> "front", "back", "left", "right", "top" OR "bottom". PLACES AND TURNS THE PLANE.
+		distance: number; --> HOW FAR FROM THE CENTER THE PLANE SITS. DEFAULTS TO HALF OF 'size'.
+		size: number; --> WIDTH AND HEIGHT OF THE PLANE. DEFAULTS TO 6.
+		mask: string OR geometry OR object; --> OPTIONAL. A MODEL PATH, A THREE.BufferGeometry OR AN Object3D
+		                                        SHAPING THE WINDOW, INSTEAD OF A SQUARE (SEE portal.js).
+		scale: number; --> SCALES THE PLANE UP WITHOUT MOVING IT (LIKE THE BIG CUBE IN THE IMPOSSIBLE CUBE).
+		position, rotation: [x, y, z]; --> OR PLACE THE PLANE BY HAND INSTEAD OF USING 'side'.
+*/
+// Model options:
+/*		path: string; --> PATH TO THE MODEL FILE: .gltf, .glb, .obj OR .fbx (SEE formats.js).
+		type: string; --> OPTIONAL. "glb", "obj", "fbx" OR A MIME TYPE, FOR PATHS THAT DON'T END IN ONE.
+		name: string; --> OPTIONAL. GIVES THE OBJECTS A NAME, SO THE BEHAVIOR CAN FIND THEM WITH face.get(name).
+		count: integer; --> HOW MANY COPIES TO LOAD. DEFAULTS TO 1.
+		stencil: boolean; --> false RENDERS THE MODEL EVERYWHERE INSTEAD OF ONLY INSIDE THE WINDOW.
+		castShadow, receiveShadow: boolean; --> OPTIONAL. SHADOWS FROM THE LIGHTS OF THE FACE (SEE lighting.js).
+		                                        'children' DO THE SAME AS THEIR PARENT, UNLESS THEY SAY OTHERWISE.
+		filter: function; --> OPTIONAL. (node) => true/false, ONLY THE MESHES IT RETURNS true FOR ARE MASKED.
+		position, rotation: [x, y, z]; --> OR A FUNCTION (index, random) => [x, y, z] FOR EACH COPY.
+		scale: number OR [x, y, z]; --> OR A FUNCTION (index, random) => number OR [x, y, z] FOR EACH COPY.
+		                                'random' IS THE FACE'S SEEDED RANDOM SOURCE (SEE random.js).
+		children: [ ... ]; --> MORE MODEL OPTIONS, LOADED AND ATTATCHED TO EVERY COPY.
+		animation: string; --> OPTIONAL. NAME OF AN ANIMATION CLIP IN THE FILE, PLAYED IN A LOOP ON EVERY COPY.
+		                       OR { clip: "Walk", loop, timeScale } (SEE animation.js).
+		instanced: boolean; --> true DRAWS ALL THE COPIES IN ONE DRAW CALL (SEE instancing.js). THE BEHAVIOR
+		                        STILL MOVES THEM ONE BY ONE, BUT THEY CAN'T HAVE 'children' OR AN 'animation'.
+		onLoad: function; --> OPTIONAL. CALLED AS onLoad(object, index, face) AFTER EACH COPY IS PLACED.
+*/
+/*-----------------------------------------*/
+
+// Where each side of a cube sits, and how its plane has to be turned to face outwards.
+export const SIDES = {
+	front: { normal: [0, 0, 1], rotation: [0, 0, 0] },
+	back: { normal: [0, 0, -1], rotation: [0, Math.PI, 0] },
+	left: { normal: [-1, 0, 0], rotation: [0, -Math.PI/2, 0] },
+	right: { normal: [1, 0, 0], rotation: [0, Math.PI/2, 0] },
+	top: { normal: [0, 1, 0], rotation: [-Math.PI/2, 0, 0] },
+	bottom: { normal: [0, -1, 0], rotation: [Math.PI/2, 0, 0] },
+};
+
+const planeGeometries = new Map();
+
+// One loaded face of the cube: its window plane and everything that was loaded behind it.
+// face.portal is the StencilPortal (portal.js) that holds both.
+export class Face {
+	constructor(name, config, portal, random, parent = null) {
+		this.name = name;
+		this.parent = parent;
+		this.faces = [];
+		this.config = config;
+		this.portal = portal;
+		this.random = random;
+		this.plane = null;
+		this.objects = [];
+		this.instanced = [];
+		this.update = null;
+		this.named = new Map();
+		// "empty", "loading" or "loaded": whether the models behind the window are there (see streaming.js).
+		this.state = "empty";
+		this.loading = null;
+		// The model file of every copy that was loaded, so the model cache can let go of them again.
+		this.paths = [];
+		this.added = [];
+		this.stopUpdate = null;
+		// The sky of this face's world (see backgrounds.js), and the materials that reflect it.
+		this.background = null;
+		this.environment = [];
+	}
+
+	get stencilRef() {
+		return this.portal.ref;
+	}
+
+	// Which way the window looks, in world space. Windows face along their own +z axis.
+	getWorldNormal(target) {
+		this.plane.updateWorldMatrix(true, false);
+		return target.set(0, 0, 1).transformDirection(this.plane.matrixWorld);
+	}
+
+	getWorldCenter(target) {
+		return this.plane.getWorldPosition(target);
+	}
+
+	// Every object loaded from model options with this name, including children.
+	// For instanced models these are the InstanceProxy objects (see instancing.js).
+	get(name) {
+		return this.named.get(name) || [];
+	}
+};
+
+function valueAt(value, index, random) {
+	return typeof value === 'function' ? value(index, random) : value;
+}
+
+function placeObject(object, entry, index, random) {
+	const position = valueAt(entry.position, index, random);
+	const rotation = valueAt(entry.rotation, index, random);
+	const scale = valueAt(entry.scale, index, random);
+	if (position) {
+		object.position.fromArray(position);
+	}
+	if (rotation) {
+		object.rotation.fromArray(rotation);
+	}
+	if (typeof scale === 'number') {
+		object.scale.set(scale, scale, scale);
+	} else if (scale) {
+		object.scale.fromArray(scale);
+	}
+}
+
+async function loadMask(engine, config, size) {
+	if (typeof config.mask === 'string') {
+		return engine.loadModel(config.mask);
+	}
+	if (config.mask) {
+		return config.mask;
+	}
+	if (!planeGeometries.has(size)) {
+		planeGeometries.set(size, new THREE.PlaneGeometry(size, size));
+	}
+	return planeGeometries.get(size);
+}
+
+export async function buildPlane(engine, face) {
+	const config = face.config.plane;
+	const size = config.size ?? 6;
+	const plane = face.portal.setMask(await loadMask(engine, config, size));
+	plane.name = face.name;
+
+	const scale = config.scale ?? 1;
+	if (config.side) {
+		const side = SIDES[config.side];
+		if (!side) {
+			throw new Error(`Face "${face.name}" has an unknown side "${config.side}".`);
+		}
+		const distance = config.distance ?? size/2;
+		plane.position.fromArray(side.normal).multiplyScalar(distance);
+		plane.rotation.fromArray(side.rotation);
+	}
+	if (config.position) {
+		plane.position.fromArray(config.position);
+	}
+	if (config.rotation) {
+		plane.rotation.fromArray(config.rotation);
+	}
+	plane.scale.set(scale, scale, 1);
+	return plane;
+}
+
+async function loadEntry(engine, face, entry) {
+	const portal = entry.stencil === false ? null : face.portal.handle;
+	if (entry.instanced) {
+		if (entry.children) {
+			throw new Error(`Face "${face.name}" has an instanced model (${entry.path}) with children, which isn't supported.`);
+		}
+		if (entry.animation) {
+			throw new Error(`Face "${face.name}" has an instanced model (${entry.path}) with an animation, which isn't supported.`);
+		}
+		const model = await engine.loadInstanced(entry.path, portal, entry.count ?? 1, { filter: entry.filter, type: entry.type });
+		face.instanced.push(model);
+		face.paths.push(entry.path);
+		return { entry, objects: model.proxies, added: [model], children: [] };
+	}
+
+	const copies = [];
+	for (let i = 0; i < (entry.count ?? 1); i++) {
+		copies.push(engine.loadModel(entry.path, portal, { filter: entry.filter, type: entry.type }));
+	}
+	const objects = await Promise.all(copies);
+	for (let i = 0; i < objects.length; i++) {
+		face.paths.push(entry.path);
+	}
+	if (entry.animation) {
+		const { clip, ...options } = typeof entry.animation === 'string' ? { clip: entry.animation } : entry.animation;
+		for (const object of objects) {
+			engine.animate(object).play(clip, options);
+		}
+	}
+
+	const children = await Promise.all(objects.map((object) => {
+		return Promise.all((entry.children || []).map((child) => loadEntry(engine, face, child)));
+	}));
+	for (let i = 0; i < objects.length; i++) {
+		for (const child of children[i]) {
+			objects[i].add(...child.objects);
+		}
+	}
+	return { entry, objects, added: objects, children };
+}
+
+function setShadows(object, entry) {
+	object.traverse((node) => {
+		if (!node.isMesh) {return};
+		node.castShadow = entry.castShadow ?? node.castShadow;
+		node.receiveShadow = entry.receiveShadow ?? node.receiveShadow;
+	});
+}
+
+// Everything is loaded at the same time, so objects are placed and named afterwards,
+// in the order of the config. That way face.get(name) is always in the same order,
+// and position functions get the same random numbers on every run.
+function registerEntry(face, loaded) {
+	const { entry, objects } = loaded;
+	for (let i = 0; i < objects.length; i++) {
+		placeObject(objects[i], entry, i, face.random);
+	}
+	if (entry.instanced) {
+		loaded.added[0].update();
+	}
+	if (entry.castShadow !== undefined || entry.receiveShadow !== undefined) {
+		// Instanced copies aren't in the scene, their InstancedModel is.
+		for (const object of entry.instanced ? loaded.added : objects) {
+			setShadows(object, entry);
+		}
+	}
+	if (entry.name) {
+		if (!face.named.has(entry.name)) {
+			face.named.set(entry.name, []);
+		}
+		for (const object of objects) {
+			object.name = entry.name;
+		}
+		face.named.get(entry.name).push(...objects);
+	}
+	for (const children of loaded.children) {
+		for (const child of children) {
+			registerEntry(face, child);
+		}
+	}
+	if (entry.onLoad) {
+		for (let i = 0; i < objects.length; i++) {
+			entry.onLoad(objects[i], i, face);
+		}
+	}
+}
+
+// Builds the window of a face and the faces nested in it. Unless options.lazy is true, the models
+// behind the window are loaded too; lazy faces wait for loadFaceContent(...) (see streaming.js).
+export async function buildFace(engine, name, config, parent = null, options = {}) {
+	const handle = name === 'world' ? engine.stencil.world : engine.createPortal(name, config.stencilRef, parent && parent.portal);
+	const portal = new StencilPortal(handle, null, { cache: engine.models });
+	const face = new Face(name, config, portal, engine.random.fork(name), parent);
+	if (parent) {
+		parent.portal.add(portal);
+	} else {
+		engine.add(portal);
+	}
+	if (config.lights) {
+		engine.lighting.add(portal, config.lights);
+	}
+	if (config.fog) {
+		engine.worlds.setFog(portal, config.fog);
+	}
+	if (config.fill) {
+		portal.add(createFill(config.fill, handle));
+	}
+	for (const effect of config.effects || []) {
+		engine.effects.add(effect, [handle]);
+	}
+
+	const [plane, faces] = await Promise.all([
+		config.plane ? buildPlane(engine, face) : null,
+		Promise.all((config.faces || []).map((nested) => buildFace(engine, nested.name, nested, face, options))),
+		options.lazy ? null : loadFaceContent(engine, face),
+	]);
+	face.plane = plane;
+	face.faces = faces;
+	return face;
+}
+
+// Loads the models behind the window of a face and hooks up its behavior.
+// Calling it again while it loads gives back the same promise.
+export function loadFaceContent(engine, face) {
+	if (face.state === "loaded") {return Promise.resolve(face)};
+	if (!face.loading) {
+		face.state = "loading";
+		face.loading = loadContent(engine, face).then(() => {
+			face.state = "loaded";
+			face.loading = null;
+			return face;
+		}, (error) => {
+			face.state = "empty";
+			face.loading = null;
+			throw error;
+		});
+	}
+	return face.loading;
+}
+
+async function loadContent(engine, face) {
+	const { config, portal } = face;
+	// A face that is loaded again places its models the same way as the first time.
+	face.random = engine.random.fork(face.name);
+	const background = config.background ? backgroundOptions(config.background) : null;
+	const [loaded, sky] = await Promise.all([
+		Promise.all((config.models || []).map((entry) => loadEntry(engine, face, entry))),
+		background ? engine.backgrounds.load(background.path) : null,
+	]);
+	for (const entry of loaded) {
+		registerEntry(face, entry);
+		face.objects.push(...entry.objects);
+		if (entry.added.length === 0) {continue};
+		// Models with 'stencil: false' are drawn everywhere, so they don't belong to the portal.
+		if (entry.entry.stencil === false) {
+			engine.add(...entry.added);
+		} else {
+			portal.add(...entry.added);
+		}
+		face.added.push(...entry.added);
+	}
+	if (sky) {
+		face.background = createBackground(sky, portal.handle, background);
+		portal.add(face.background);
+		face.added.push(face.background);
+		if (background.environment) {
+			face.environment = applyEnvironment(portal, sky);
+		}
+	}
+
+	if (config.behavior) {
+		const behavior = typeof config.behavior === 'function' ? config.behavior : engine.behaviors[config.behavior];
+		if (!behavior) {
+			throw new Error(`Face "${face.name}" uses the behavior "${config.behavior}", which isn't registered.`);
+		}
+		const update = behavior(face, config.params || {}, engine);
+		// Instanced copies are only moved on the GPU once the behavior is done with them.
+		face.update = face.instanced.length === 0 ? update : (delta, elapsed) => {
+			if (update) {
+				update(delta, elapsed);
+			}
+			for (const model of face.instanced) {
+				model.update();
+			}
+		};
+		if (face.update) {
+			face.stopUpdate = engine.onUpdate(face.update);
+		}
+	}
+	// The camera may be inside a face already, which renumbers the stencil (see traversal.js).
+	engine.traversal.refresh(portal);
+	engine.invalidate();
+}
+
+// Takes the models out from behind the window again, and lets the model cache free the files
+// nobody else uses. The window and the nested faces stay.
+export function unloadFaceContent(engine, face) {
+	if (face.state !== "loaded") {return};
+	if (face.stopUpdate) {
+		face.stopUpdate();
+	}
+	for (const object of face.added) {
+		object.removeFromParent();
+	}
+	// Every animated model goes, 'children' and ones the behavior animated included.
+	for (const object of face.added) {
+		object.traverse((node) => {
+			const animator = engine.animators.get(node);
+			if (animator) {
+				animator.dispose();
+				engine.animators.delete(node);
+			}
+		});
+	}
+	for (const model of face.instanced) {
+		model.dispose();
+	}
+	for (const material of face.environment) {
+		material.envMap = null;
+		material.needsUpdate = true;
+	}
+	if (face.background) {
+		face.background.material.dispose();
+		engine.backgrounds.release(backgroundOptions(face.config.background).path);
+	}
+	for (const path of face.paths) {
+		engine.models.release(path);
+	}
+	face.objects = [];
+	face.instanced = [];
+	face.added = [];
+	face.paths = [];
+	face.background = null;
+	face.environment = [];
+	face.named.clear();
+	face.update = null;
+	face.stopUpdate = null;
+	face.state = "empty";
+	engine.invalidate();
+}
@@ -0,0 +1,199 @@
+import * as THREE from 'three';
+
+/*-------------- Face Focus ---------------*/
+// Focusing a face draws attention to it: its window grows, or the camera turns to look straight at it.
+/*		engine.focusFace();                       --> THE FACE THE CAMERA IS LOOKING AT THE MOST.
+		engine.focusFace("front", {
+			mode: "scale",                        --> "scale" GROWS THE WINDOW, "camera" MOVES THE CAMERA.
+			scale: 4,                             --> HOW MANY TIMES BIGGER THE WINDOW GROWS ("scale" MODE).
+			distance: 10,                         --> HOW FAR FROM THE ORBIT CENTER THE CAMERA ENDS UP ("camera" MODE).
+			                                          DEFAULTS TO WHERE IT IS NOW.
+			duration: 0.6, easing: "easeInOutQuad", --> SEE tween.js.
+			blurAngle: 0.3,                       --> TURNING THIS MANY RADIANS FURTHER AWAY FROM THE FACE THAN WHEN IT
+			                                          WAS FOCUSED (OR THAN AFTER "camera" MODE TURNED TO IT) UNFOCUSES IT.
+			                                          null KEEPS IT FOCUSED UNTIL engine.blurFace().
+		});
+		engine.blurFace();
+*/
+// The engine fires 'focusstart' when a face starts to focus, 'focusend' once it's done,
+// and 'blur' when it loses focus again. The event has the face as event.face.
+// Which face is looked at is worked out from the normals of the windows, not from the sides
+// of a cube, so it works for windows facing any direction.
+
+const FOCUS_DEFAULTS = {
+	mode: "scale",
+	scale: 4,
+	distance: null,
+	duration: 0.6,
+	easing: "easeInOutQuad",
+	blurAngle: 0.3,
+};
+
+const view = new THREE.Vector3();
+const normal = new THREE.Vector3();
+const center = new THREE.Vector3();
+const toFace = new THREE.Vector3();
+const cameraPosition = new THREE.Vector3();
+
+export class Focus {
+	constructor(engine) {
+		this.engine = engine;
+		this.face = null;
+		this.options = null;
+		this.tween = null;
+		// How far (in radians) the view was turned away from the focused face once it was focused.
+		this.angle = 0;
+		// The scale every grown window goes back to, and the tweens shrinking them back.
+		this.baseScales = new Map();
+		this.shrinking = new Map();
+	}
+
+	// How straight the camera looks at the window of 'face': 1 is head on, 0 or less is not at all.
+	// Windows behind the camera, or turned away from it, don't count.
+	alignment(face) {
+		if (!face.plane || !face.portal.visible) {return -1};
+		const camera = this.engine.camera;
+		camera.getWorldDirection(view);
+		camera.getWorldPosition(cameraPosition);
+		face.getWorldNormal(normal);
+		toFace.subVectors(face.getWorldCenter(center), cameraPosition);
+		if (toFace.dot(view) <= 0 || toFace.dot(normal) >= 0) {return -1};
+		return -normal.dot(view);
+	}
+
+	// The face the camera looks at the most, or null when it doesn't look at any.
+	// When two windows face the same way, the closer one wins.
+	faceInView() {
+		let best = null;
+		let bestAlignment = 0;
+		let bestDistance = Infinity;
+		for (const face of this.engine.faces.values()) {
+			const alignment = this.alignment(face);
+			if (alignment <= 0) {continue};
+			const distance = face.getWorldCenter(center).distanceTo(cameraPosition);
+			if (alignment > bestAlignment + 1e-6 || (Math.abs(alignment - bestAlignment) <= 1e-6 && distance < bestDistance)) {
+				best = face;
+				bestAlignment = alignment;
+				bestDistance = distance;
+			}
+		}
+		return best;
+	}
+
+	focus(face, options = {}) {
+		if (face === undefined) {
+			face = this.faceInView();
+		} else if (typeof face === 'string') {
+			const name = face;
+			face = this.engine.getFace(name);
+			if (!face) {
+				throw new Error(`There is no face called "${name}" to focus.`);
+			}
+		}
+		if (!face || face === this.face) {return face};
+		if (!face.plane) {
+			throw new Error(`Face "${face.name}" has no window to focus.`);
+		}
+		this.blur();
+
+		options = { ...FOCUS_DEFAULTS, ...options };
+		this.face = face;
+		this.options = options;
+		this.angle = this.angleTo(face);
+		this.engine.dispatchEvent({ type: 'focusstart', face });
+		const complete = () => {
+			this.tween = null;
+			// "camera" mode turned the view straight to the face, so looking away counts from there.
+			this.angle = Math.min(this.angle, this.angleTo(face));
+			this.engine.dispatchEvent({ type: 'focusend', face });
+		};
+		if (options.mode === "scale") {
+			// Windows built with 'plane.scale' (see faces.js) grow from their own size.
+			if (this.shrinking.has(face)) {
+				this.shrinking.get(face).stop();
+				this.shrinking.delete(face);
+			}
+			if (!this.baseScales.has(face)) {
+				this.baseScales.set(face, face.plane.scale.x);
+			}
+			this.tween = this.tweenScale(face, options.scale * this.baseScales.get(face), options, complete);
+		} else if (options.mode === "camera") {
+			this.tween = this.tweenCamera(face, options, complete);
+		} else {
+			throw new Error(`Focus mode has to be "scale" or "camera", not "${options.mode}".`);
+		}
+		return face;
+	}
+
+	blur() {
+		const face = this.face;
+		if (!face) {return};
+		if (this.tween) {
+			this.tween.stop();
+		}
+		this.face = null;
+		this.tween = null;
+		// The window shrinks back. The camera is left where it is.
+		if (this.options.mode === "scale") {
+			this.shrinking.set(face, this.tweenScale(face, this.baseScales.get(face), this.options, () => {
+				this.shrinking.delete(face);
+				this.baseScales.delete(face);
+			}));
+		}
+		this.engine.dispatchEvent({ type: 'blur', face });
+	}
+
+	tweenScale(face, scale, options, complete) {
+		const plane = face.plane;
+		const from = plane.scale.x;
+		return this.engine.tween({
+			duration: options.duration,
+			easing: options.easing,
+			update: (t) => {
+				const size = from + (scale - from) * t;
+				plane.scale.set(size, size, plane.scale.z);
+			},
+			complete,
+		});
+	}
+
+	// Swings the camera around the orbit center until it looks straight at the window.
+	tweenCamera(face, options, complete) {
+		const camera = this.engine.camera;
+		const controls = this.engine.controls;
+		const target = controls.target;
+		const start = camera.position.clone().sub(target);
+		const radius = options.distance ?? start.length();
+		const startRadius = start.length();
+		const end = face.getWorldNormal(new THREE.Vector3());
+		const rotation = new THREE.Quaternion().setFromUnitVectors(start.clone().normalize(), end);
+		const turn = new THREE.Quaternion();
+		return this.engine.tween({
+			duration: options.duration,
+			easing: options.easing,
+			update: (t) => {
+				turn.identity().slerp(rotation, t);
+				camera.position.copy(start).normalize().applyQuaternion(turn)
+					.multiplyScalar(startRadius + (radius - startRadius) * t).add(target);
+				camera.lookAt(target);
+				controls.update();
+			},
+			complete,
+		});
+	}
+
+	// How far (in radians) the view is turned away from looking straight at the window of 'face'.
+	angleTo(face) {
+		return Math.acos(THREE.MathUtils.clamp(this.alignment(face), -1, 1));
+	}
+
+	// Called by the engine every frame. Turning 'blurAngle' further away from the focused face than
+	// when it was focused unfocuses it, so a face focused from the side doesn't lose the focus right away.
+	update() {
+		if (!this.face || this.tween || this.options.blurAngle === null) {return};
+		if (this.angleTo(this.face) > this.angle + this.options.blurAngle) {
+			this.blur();
+		}
+	}
+};
+/*-----------------------------------------*/
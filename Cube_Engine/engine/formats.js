@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+
+/*------------- Model Formats -------------*/
+// loadModel(...) and the ModelCache (models.js) pick the loader from the end of the path:
+/*		.gltf, .glb --> GLTFLoader. DRACO AND MESHOPT COMPRESSED MESHES AND KTX2 TEXTURES WORK TOO.
+		.obj        --> OBJLoader.
+		.fbx        --> FBXLoader, WITH ITS ANIMATIONS.
+*/
+// A path without an extension (an API url, a blob: url) says what it is with { type: "glb" }, or a
+// MIME type like { type: "model/gltf-binary" }. data: urls carry their MIME type already.
+// Every format ends up the same: the model is scene.children[0], and it's masked the same way.
+// Draco and KTX2 need a decoder, which is loaded from the page's own server instead of a CDN, and only
+// once a file needs it. Copy the folders from three.js to where the 'dracoPath' and 'basisPath'
+// engine options point (next to the page by default):
+/*		node_modules/three/examples/jsm/libs/draco/  --> draco/
+		node_modules/three/examples/jsm/libs/basis/  --> basis/
+*/
+
+const EXTENSIONS = {
+	gltf: "gltf",
+	glb: "gltf",
+	obj: "obj",
+	fbx: "fbx",
+};
+
+const MIME_TYPES = {
+	"model/gltf+json": "gltf",
+	"model/gltf-binary": "gltf",
+	"model/obj": "obj",
+};
+
+// Which loader reads 'path': "gltf", "obj" or "fbx". 'type' is an extension or a MIME type.
+export function modelFormat(path, type) {
+	let name = type;
+	if (!name && path.startsWith("data:")) {
+		name = path.slice(5, path.search(/[;,]/));
+	}
+	if (!name) {
+		const file = path.split(/[?#]/)[0];
+		name = file.slice(file.lastIndexOf(".") + 1);
+	}
+	name = name.toLowerCase().replace(/^\./, "");
+	const format = EXTENSIONS[name] ?? MIME_TYPES[name];
+	if (!format) {
+		throw new Error(`Can't tell how to load "${path}". Models can be ${Object.keys(EXTENSIONS).join(", ")}, or pass { type } for paths without one of those endings.`);
+	}
+	return format;
+}
+
+// Makes the loader of every format the first time it's needed, and shares it afterwards.
+/*		options: {
+			manager: THREE.LoadingManager,  --> OPTIONAL. SEE loading.js.
+			renderer: THREE.WebGLRenderer,  --> NEEDED FOR KTX2 TEXTURES, TO PICK WHAT THE GPU CAN READ.
+			dracoPath: "draco/", basisPath: "basis/",
+		}
+*/
+export class ModelLoader {
+	constructor(options = {}) {
+		this.manager = options.manager;
+		this.renderer = options.renderer ?? null;
+		this.dracoPath = options.dracoPath ?? "draco/";
+		this.basisPath = options.basisPath ?? "basis/";
+		this.loaders = {};
+		this.draco = null;
+		this.ktx2 = null;
+	}
+
+	loader(format) {
+		if (!this.loaders[format]) {
+			this.loaders[format] = this.create(format);
+		}
+		return this.loaders[format];
+	}
+
+	create(format) {
+		if (format === "obj") {
+			return new OBJLoader(this.manager);
+		}
+		if (format === "fbx") {
+			return new FBXLoader(this.manager);
+		}
+		const loader = new GLTFLoader(this.manager);
+		this.draco = new DRACOLoader(this.manager).setDecoderPath(this.dracoPath);
+		loader.setDRACOLoader(this.draco);
+		loader.setMeshoptDecoder(MeshoptDecoder);
+		if (this.renderer) {
+			this.ktx2 = new KTX2Loader(this.manager).setTranscoderPath(this.basisPath).detectSupport(this.renderer);
+			loader.setKTX2Loader(this.ktx2);
+		}
+		return loader;
+	}
+
+	// Resolves with { scene, animations }, the way GLTFLoader does, whatever the format.
+	async load(path, options = {}) {
+		const format = modelFormat(path, options.type);
+		const data = await this.loader(format).loadAsync(path, options.onProgress);
+		if (format === "gltf") {
+			return data;
+		}
+		const scene = new THREE.Group();
+		scene.add(data);
+		return { scene, animations: data.animations ?? [] };
+	}
+
+	// Stops the decoder workers.
+	dispose() {
+		if (this.draco) {
+			this.draco.dispose();
+		}
+		if (this.ktx2) {
+			this.ktx2.dispose();
+		}
+	}
+};
+/*-----------------------------------------*/
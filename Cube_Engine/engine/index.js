@@ -0,0 +1,20 @@
+export { CubeEngine } from './CubeEngine.js';
+export { createMat } from './materials.js';
+export { loadModel, ModelCache, disposeObject } from './models.js';
+export { StencilRegistry, MAX_STENCIL_REF, applyStencil, setStencil } from './stencil.js';
+export { InstancedModel, InstanceProxy } from './instancing.js';
+export { Random } from './random.js';
+export { Animator } from './animation.js';
+export { StencilPortal } from './portal.js';
+export { Traversal } from './traversal.js';
+export { Focus } from './focus.js';
+export { Tween, Easing } from './tween.js';
+export { Navigation } from './navigation.js';
+export { Input, DEFAULT_KEYS, DEFAULT_GAMEPAD } from './input.js';
+export { LoadingProgress, LoadingScreen, fadeInFace } from './loading.js';
+export { Streaming } from './streaming.js';
+export { ModelLoader, modelFormat } from './formats.js';
+export { Backgrounds, createBackground, createFill, applyEnvironment } from './backgrounds.js';
+export { Lighting } from './lighting.js';
+export { Worlds, createFog } from './worlds.js';
+export { Effects } from './effects.js';
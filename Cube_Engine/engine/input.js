@@ -0,0 +1,169 @@
+/*----------------- Input -----------------*/
+// Keys and gamepad buttons are turned into actions, and actions into what the engine does.
+// Out of the box:
+/*		ARROW KEYS OR WASD, D-PAD OR LEFT STICK --> "up", "down", "left", "right" (engine.navigate(...)).
+		ENTER, A BUTTON                         --> "focus" (engine.focusFace()).
+		ESCAPE, B BUTTON                        --> "blur" (engine.blurFace()).
+		R, START BUTTON                         --> "reset" (engine.resetCamera()).
+*/
+// Both maps can be changed on the engine, or replaced with the 'keys' and 'gamepad' options:
+/*		engine.input.keys.f = "toggleFrame";              --> A KEY FOR A NEW ACTION...
+		engine.input.actions.toggleFrame = () => { ... }; --> ...AND WHAT IT DOES.
+		engine.input.gamepad.buttons[3] = "toggleFrame";  --> BUTTONS ARE NUMBERED LIKE THE STANDARD GAMEPAD LAYOUT.
+		new CubeEngine(container, { keys: false });       --> NO KEYBOARD AT ALL.
+*/
+// Keys only work while the canvas has the focus (clicking it, or tabbing to it), so the arrow keys
+// still scroll the rest of the page, and two engines on one page don't both react to the same key.
+// 'keyTarget: "window"' in the engine options takes keys from the whole page instead.
+// Gamepads are read once per frame. To try them without a real one, hand the input fake ones:
+/*		engine.input.readGamepads = () => [{ buttons: [{ pressed: true }], axes: [0, 0] }];
+*/
+
+export const DEFAULT_KEYS = {
+	ArrowUp: "up",
+	ArrowDown: "down",
+	ArrowLeft: "left",
+	ArrowRight: "right",
+	w: "up",
+	s: "down",
+	a: "left",
+	d: "right",
+	Enter: "focus",
+	Escape: "blur",
+	r: "reset",
+};
+
+export const DEFAULT_GAMEPAD = {
+	buttons: {
+		0: "focus",
+		1: "blur",
+		9: "reset",
+		12: "up",
+		13: "down",
+		14: "left",
+		15: "right",
+	},
+	// The left stick moves between faces too, once it's pushed further than 'deadzone'.
+	stick: true,
+	deadzone: 0.5,
+};
+
+function isPressed(button) {
+	if (typeof button === 'number') {
+		return button > 0.5;
+	}
+	return Boolean(button && (button.pressed || button.value > 0.5));
+}
+
+// Which way the left stick points, or null in the middle. The y axis points down on gamepads.
+function stickDirection(axes, deadzone) {
+	const x = axes[0] ?? 0;
+	const y = axes[1] ?? 0;
+	if (Math.max(Math.abs(x), Math.abs(y)) < deadzone) {return null};
+	if (Math.abs(x) > Math.abs(y)) {
+		return x > 0 ? "right" : "left";
+	}
+	return y > 0 ? "down" : "up";
+}
+
+export class Input {
+	constructor(engine) {
+		this.engine = engine;
+		const { keys, gamepad } = engine.options;
+		this.keys = keys === false ? {} : { ...(keys ?? DEFAULT_KEYS) };
+		this.gamepad = gamepad === false ? { buttons: {}, stick: false, deadzone: 0.5 } : { ...DEFAULT_GAMEPAD, ...gamepad };
+		this.gamepad.buttons = { ...this.gamepad.buttons };
+		this.actions = {
+			up: () => engine.navigate("up"),
+			down: () => engine.navigate("down"),
+			left: () => engine.navigate("left"),
+			right: () => engine.navigate("right"),
+			focus: () => engine.focusFace(),
+			blur: () => engine.blurFace(),
+			reset: () => engine.resetCamera(),
+		};
+		// What every gamepad held last frame, so a held button only acts once.
+		this.held = new Map();
+
+		this.onKeyDown = (event) => {
+			if (event.repeat || event.ctrlKey || event.metaKey || event.altKey) {return};
+			const target = event.target;
+			if (target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))) {return};
+			const action = this.keys[event.key] ?? this.keys[event.key.toLowerCase()];
+			if (action && this.run(action)) {
+				// Arrow keys would scroll the page otherwise.
+				event.preventDefault();
+			}
+		};
+		this.keyTarget = null;
+		if (engine.options.keyTarget === "window") {
+			this.keyTarget = typeof window !== 'undefined' ? window : null;
+		} else if (engine.options.keyTarget === "canvas") {
+			this.keyTarget = engine.renderer.domElement;
+			// A canvas can only get the focus (and key presses) with a tabindex.
+			if (!this.keyTarget.hasAttribute('tabindex')) {
+				this.keyTarget.tabIndex = 0;
+			}
+		} else {
+			throw new Error(`The key target has to be "canvas" or "window", not "${engine.options.keyTarget}".`);
+		}
+		// Dragging the camera focuses the canvas too, in case the controls keep the click from doing it.
+		this.onPointerDown = () => this.keyTarget.focus({ preventScroll: true });
+		if (this.keyTarget) {
+			this.keyTarget.addEventListener('keydown', this.onKeyDown);
+		}
+		if (this.keyTarget === engine.renderer.domElement) {
+			this.keyTarget.addEventListener('pointerdown', this.onPointerDown);
+		}
+	}
+
+	// Runs an action by name. Returns false if there is no such action.
+	run(action) {
+		const handler = this.actions[action];
+		if (!handler) {return false};
+		handler();
+		return true;
+	}
+
+	// The gamepads to read. Replace it to feed in fake ones.
+	readGamepads() {
+		if (typeof navigator === 'undefined' || !navigator.getGamepads) {return []};
+		return [...navigator.getGamepads()];
+	}
+
+	// Called by the engine every frame. Acts on buttons that were just pressed.
+	update() {
+		const gamepads = this.readGamepads();
+		for (let index = 0; index < gamepads.length; index++) {
+			const gamepad = gamepads[index];
+			if (!gamepad) {continue};
+			const held = new Set();
+			for (const button in this.gamepad.buttons) {
+				if (isPressed(gamepad.buttons[button])) {
+					held.add(this.gamepad.buttons[button]);
+				}
+			}
+			if (this.gamepad.stick && gamepad.axes) {
+				const direction = stickDirection(gamepad.axes, this.gamepad.deadzone);
+				if (direction) {
+					held.add(direction);
+				}
+			}
+			const before = this.held.get(index) ?? new Set();
+			for (const action of held) {
+				if (!before.has(action)) {
+					this.run(action);
+				}
+			}
+			this.held.set(index, held);
+		}
+	}
+
+	dispose() {
+		if (this.keyTarget) {
+			this.keyTarget.removeEventListener('keydown', this.onKeyDown);
+			this.keyTarget.removeEventListener('pointerdown', this.onPointerDown);
+		}
+	}
+};
+/*-----------------------------------------*/
@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+
+/*------------ Instanced Models -----------*/
+// Drawing the same model 64 times as 64 meshes costs 64 draw calls. An InstancedMesh draws
+// all the copies of a mesh in one call. InstancedModel does that for a whole glTF model:
+// one InstancedMesh for every mesh in the file, all masked to the same portal.
+/*		const diamonds = await engine.loadInstanced("models/diamond.gltf", portal, 64);
+		engine.add(diamonds);
+		diamonds.proxies[3].position.z = 10;      --> MOVE, TURN AND SCALE COPIES LIKE NORMAL OBJECTS.
+		diamonds.proxies[3].setColor("hotpink");  --> TINT A SINGLE COPY.
+		diamonds.update();                        --> SENDS THE CHANGES TO THE GPU. CALL IT ONCE PER FRAME.
+*/
+// Faces in a cube config do this for you with 'instanced: true' on a model (see faces.js).
+
+// Stands in for one copy of the model. It has a position, rotation and scale like any Object3D,
+// but it is never added to the scene; InstancedModel.update() copies its transform to the GPU.
+export class InstanceProxy extends THREE.Object3D {
+	constructor(model, index) {
+		super();
+		this.model = model;
+		this.index = index;
+	}
+
+	setColor(color) {
+		this.model.setColorAt(this.index, color);
+	}
+};
+
+const partMatrix = new THREE.Matrix4();
+const tint = new THREE.Color();
+
+export class InstancedModel extends THREE.Group {
+	// 'template' is the loaded model to copy. 'materialFor(material, mesh)' gives the material the
+	// copies use instead, so the caller decides about stenciling (see ModelCache.instanced).
+	constructor(template, count, materialFor = (material) => material) {
+		super();
+		this.count = count;
+		this.parts = [];
+		this.proxies = [];
+
+		// Where every mesh sits inside the model, so the copies keep the model's shape.
+		template.updateMatrixWorld(true);
+		const toModel = template.matrixWorld.clone().invert();
+		template.traverse((node) => {
+			if (!node.isMesh) {return};
+			const material = Array.isArray(node.material)
+				? node.material.map((material) => materialFor(material, node))
+				: materialFor(node.material, node);
+			const mesh = new THREE.InstancedMesh(node.geometry, material, count);
+			mesh.name = node.name;
+			this.parts.push({ mesh, offset: toModel.clone().multiply(node.matrixWorld) });
+			this.add(mesh);
+		});
+
+		for (let i = 0; i < count; i++) {
+			const proxy = new InstanceProxy(this, i);
+			proxy.position.copy(template.position);
+			proxy.quaternion.copy(template.quaternion);
+			proxy.scale.copy(template.scale);
+			this.proxies.push(proxy);
+		}
+		this.update();
+	}
+
+	setColorAt(index, color) {
+		for (const part of this.parts) {
+			// The first tint makes three.js add colors for every copy, and they start out black.
+			if (!part.mesh.instanceColor) {
+				tint.set("white");
+				for (let i = 0; i < this.count; i++) {
+					part.mesh.setColorAt(i, tint);
+				}
+			}
+			tint.set(color);
+			part.mesh.setColorAt(index, tint);
+			part.mesh.instanceColor.needsUpdate = true;
+		}
+	}
+
+	update() {
+		for (const proxy of this.proxies) {
+			proxy.updateMatrix();
+			for (const part of this.parts) {
+				partMatrix.multiplyMatrices(proxy.matrix, part.offset);
+				part.mesh.setMatrixAt(proxy.index, partMatrix);
+			}
+		}
+		for (const part of this.parts) {
+			part.mesh.instanceMatrix.needsUpdate = true;
+			part.mesh.computeBoundingSphere();
+		}
+	}
+
+	dispose() {
+		for (const part of this.parts) {
+			part.mesh.dispose();
+		}
+	}
+};
+/*-----------------------------------------*/
@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+
+/*------------- Lighting Rigs -------------*/
+// Out of the box every world is lit by the one light on the camera. A face (or the world) can bring
+// its own lights instead, which only light the models in its world:
+/*		lights: [
+			{ type: "ambient", color: "white", intensity: 0.5 },
+			{ type: "hemisphere", color: "skyblue", groundColor: "sienna", intensity: 1 },
+			{ type: "directional", color: "white", intensity: 3, position: [5, 10, 5], target: [0, 0, 0] },
+			{ type: "point", color: "orange", intensity: 20, position: [0, 2, 0], distance: 0, decay: 2 },
+			{ type: "camera" },  --> THE ENGINE'S CAMERA LIGHT LIGHTS THIS WORLD TOO.
+		],
+*/
+// Directional and point lights can cast shadows, onto models with 'castShadow' and 'receiveShadow'
+// in their model options (see faces.js):
+/*		{ type: "directional", position: [2, 8, 3], castShadow: true, shadow: {
+			mapSize: 1024,                --> SHARPER SHADOWS, BUT SLOWER.
+			bias: -0.0005, normalBias: 0, --> AGAINST STRIPES ON SURFACES THAT SHADOW THEMSELVES.
+			radius: 1,                    --> SOFTNESS, WITH THE "pcf" AND "vsm" shadowType.
+			size: 5,                      --> HOW FAR FROM THE LIGHT'S TARGET SHADOWS ARE DRAWN (DIRECTIONAL LIGHTS).
+			near: 0.5, far: 500,          --> HOW CLOSE TO AND FAR FROM THE LIGHT SHADOWS ARE DRAWN.
+		} },
+*/
+// Only the models of the light's own world cast shadows for it (its pass only draws them), so shadows
+// never cross into another window.
+// The camera light doesn't cast shadows, because it lights many worlds at once.
+// Shadows can be turned off altogether with 'shadows: false' in the engine options.
+// Left out options get the three.js defaults. The lights sit in the face's world, so they move with it.
+// Put it on a face in a cube config (see faces.js), or on a portal: engine.lighting.add(portal, lights).
+// three.js lights every model with every light in the scene, so a world with its own lights is drawn
+// in a pass of its own (see worlds.js).
+
+const LIGHT_TYPES = ["ambient", "hemisphere", "directional", "point", "camera"];
+
+function createLight(config) {
+	const { type, color, intensity } = config;
+	let light;
+	if (type === "ambient") {
+		light = new THREE.AmbientLight(color, intensity);
+	} else if (type === "hemisphere") {
+		light = new THREE.HemisphereLight(color, config.groundColor, intensity);
+	} else if (type === "directional") {
+		light = new THREE.DirectionalLight(color, intensity);
+	} else if (type === "point") {
+		light = new THREE.PointLight(color, intensity, config.distance, config.decay);
+	} else {
+		throw new Error(`Unknown light type "${type}". Lights can be ${LIGHT_TYPES.join(", ")}.`);
+	}
+	if (config.position) {
+		light.position.fromArray(config.position);
+	}
+	if (config.target && light.target) {
+		light.target.position.fromArray(config.target);
+	}
+	if (config.castShadow) {
+		if (!light.shadow) {
+			throw new Error(`A light of type "${type}" can't cast shadows, only directional and point lights can.`);
+		}
+		setShadow(light, config.shadow || {});
+	}
+	return light;
+}
+
+function setShadow(light, options) {
+	const shadow = light.shadow;
+	light.castShadow = true;
+	if (options.mapSize) {
+		shadow.mapSize.set(options.mapSize, options.mapSize);
+	}
+	shadow.bias = options.bias ?? -0.0005;
+	shadow.normalBias = options.normalBias ?? shadow.normalBias;
+	shadow.radius = options.radius ?? shadow.radius;
+	const camera = shadow.camera;
+	if (options.size !== undefined && camera.isOrthographicCamera) {
+		camera.left = camera.bottom = -options.size;
+		camera.right = camera.top = options.size;
+	}
+	camera.near = options.near ?? camera.near;
+	camera.far = options.far ?? camera.far;
+	camera.updateProjectionMatrix();
+}
+
+export class Lighting {
+	constructor(engine) {
+		this.engine = engine;
+		// Every portal with its own lights.
+		this.portals = new Set();
+	}
+
+	// Lights the world of 'portal' with 'lights' (see the top of this file) instead of the camera light.
+	// Returns the three.js lights.
+	add(portal, lights) {
+		if (this.portals.has(portal)) {
+			throw new Error(`"${portal.name}" already has its own lights.`);
+		}
+		const created = [];
+		let camera = false;
+		for (const config of lights) {
+			if (config.type === "camera") {
+				camera = true;
+				continue;
+			}
+			const light = createLight(config);
+			created.push(light);
+			if (light.target) {
+				created.push(light.target);
+			}
+		}
+		const world = this.engine.worlds.get(portal);
+		world.lights = created;
+		world.camera = camera;
+
+		if (camera) {
+			this.engine.light.layers.enable(world.layer);
+		}
+		if (created.length !== 0) {
+			portal.add(...created);
+		}
+		this.portals.add(portal);
+		this.engine.invalidate();
+		return created.filter((light) => light.isLight);
+	}
+
+	// Takes the lights of 'portal' away again, so the camera light lights its world.
+	remove(portal) {
+		if (!this.portals.has(portal)) {return};
+		const world = this.engine.worlds.get(portal);
+		for (const light of world.lights) {
+			light.removeFromParent();
+			if (light.dispose) {
+				light.dispose();
+			}
+		}
+		if (world.camera) {
+			this.engine.light.layers.disable(world.layer);
+		}
+		world.lights = [];
+		world.camera = false;
+		this.portals.delete(portal);
+		this.engine.worlds.release(portal);
+		this.engine.invalidate();
+	}
+
+	dispose() {
+		for (const portal of [...this.portals]) {
+			this.remove(portal);
+		}
+	}
+};
+/*-----------------------------------------*/
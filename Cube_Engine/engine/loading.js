@@ -0,0 +1,168 @@
+import * as THREE from 'three';
+
+/*---------------- Loading ----------------*/
+// Every file the engine loads goes through one THREE.LoadingManager (engine.loading.manager),
+// so the engine knows how far along it is. It fires events while files come in:
+/*		engine.addEventListener("loadstart", (event) => { ... });
+		engine.addEventListener("loadprogress", (event) => {
+			event.progress.itemsLoaded, event.progress.itemsTotal  --> FILES.
+			event.progress.bytesLoaded, event.progress.bytesTotal  --> BYTES OF THE FILES THAT ARE BEING DOWNLOADED.
+			event.progress.fraction                                --> 0 TO 1, FOR A PROGRESS BAR.
+		});
+		engine.addEventListener("loadend", (event) => { ... });
+		engine.addEventListener("loaderror", (event) => console.log(event.url));
+*/
+// While engine.buildCube(...) runs, a loading screen covers the canvas. Turn it off with
+// 'loadingScreen: false' in the engine options, or bring your own: any object with
+// show(), update(progress) and hide() (see LoadingScreen bellow).
+
+export class LoadingProgress {
+	constructor(engine) {
+		this.engine = engine;
+		this.manager = new THREE.LoadingManager();
+		// Bytes per file, from the download progress of the loaders.
+		this.files = new Map();
+		this.itemsLoaded = 0;
+		this.itemsTotal = 0;
+
+		this.manager.onStart = (url, itemsLoaded, itemsTotal) => {
+			this.files.clear();
+			this.count(itemsLoaded, itemsTotal);
+			this.engine.dispatchEvent({ type: 'loadstart', progress: this.progress() });
+		};
+		this.manager.onProgress = (url, itemsLoaded, itemsTotal) => {
+			this.count(itemsLoaded, itemsTotal);
+			this.report(url);
+		};
+		this.manager.onLoad = () => {
+			this.engine.dispatchEvent({ type: 'loadend', progress: this.progress() });
+		};
+		this.manager.onError = (url) => {
+			this.engine.dispatchEvent({ type: 'loaderror', url, progress: this.progress() });
+		};
+	}
+
+	count(itemsLoaded, itemsTotal) {
+		this.itemsLoaded = itemsLoaded;
+		this.itemsTotal = itemsTotal;
+	}
+
+	// Hand this to a loader as its onProgress, so the bytes of 'url' are counted.
+	fileProgress(url, event) {
+		this.files.set(url, { loaded: event.loaded, total: event.lengthComputable ? event.total : 0 });
+		this.report(url);
+	}
+
+	report(url) {
+		this.engine.dispatchEvent({ type: 'loadprogress', url, progress: this.progress() });
+	}
+
+	progress() {
+		let bytesLoaded = 0;
+		let bytesTotal = 0;
+		let bytesKnown = true;
+		for (const file of this.files.values()) {
+			bytesLoaded += file.loaded;
+			bytesTotal += file.total;
+			bytesKnown = bytesKnown && file.total !== 0;
+		}
+		// Files are a rough measure, bytes are a better one, but only once every size is known.
+		// Files can start loading other files (like textures), so the total can grow.
+		const items = this.itemsTotal === 0 ? 1 : this.itemsLoaded / this.itemsTotal;
+		const bytes = bytesKnown && bytesTotal !== 0 ? bytesLoaded / bytesTotal : items;
+		// Every byte can be in while the files are still being parsed.
+		const fraction = this.itemsLoaded < this.itemsTotal ? Math.min(bytes, 0.99) : items;
+		return {
+			itemsLoaded: this.itemsLoaded,
+			itemsTotal: this.itemsTotal,
+			bytesLoaded,
+			bytesTotal,
+			fraction,
+		};
+	}
+};
+
+// The default loading screen: a dark cover over the canvas with a progress bar.
+// Extend it, or replace it through the 'loadingScreen' engine option.
+export class LoadingScreen {
+	constructor(container) {
+		this.container = container;
+		this.element = document.createElement("div");
+		// Over the whole window when the engine fills it, otherwise over the container.
+		this.element.style.cssText = `position: ${container === document.body ? "fixed" : "absolute"}; inset: 0;
+			display: none; flex-direction: column; align-items: center; justify-content: center; gap: 1em;
+			background-color: #111; color: gainsboro; font-family: sans-serif; transition: opacity 0.4s;`;
+		this.label = document.createElement("div");
+		this.bar = document.createElement("div");
+		this.bar.style.cssText = "width: 40%; height: 4px; background-color: #333;";
+		this.fill = document.createElement("div");
+		this.fill.style.cssText = "width: 0; height: 100%; background-color: lightseagreen; transition: width 0.2s;";
+		this.bar.appendChild(this.fill);
+		this.element.append(this.label, this.bar);
+		if (container !== document.body && getComputedStyle(container).position === "static") {
+			container.style.position = "relative";
+		}
+		container.appendChild(this.element);
+	}
+
+	show() {
+		this.element.style.display = "flex";
+		this.element.style.opacity = 1;
+		this.update({ fraction: 0, itemsLoaded: 0, itemsTotal: 0 });
+	}
+
+	update(progress) {
+		const percent = Math.round(progress.fraction * 100);
+		this.label.textContent = `Loading ${percent}%`;
+		this.fill.style.width = `${percent}%`;
+	}
+
+	hide() {
+		this.element.style.opacity = 0;
+		setTimeout(() => {
+			if (this.element.style.opacity === "0") {
+				this.element.style.display = "none";
+			}
+		}, 400);
+	}
+
+	dispose() {
+		this.element.remove();
+	}
+};
+
+// Fades in everything of a face that is drawn through its window, once it has loaded.
+// Faces fade in by making their materials see-through for a moment, then putting them back.
+export function fadeInFace(engine, face, duration) {
+	const materials = new Map();
+	face.portal.traverseContent((node) => {
+		// The sky is drawn first, without depth. See-through, it would be drawn over everything.
+		if (!node.material || node.isPortalBackground) {return};
+		for (const material of Array.isArray(node.material) ? node.material : [node.material]) {
+			if (!materials.has(material)) {
+				materials.set(material, { opacity: material.opacity, transparent: material.transparent });
+			}
+		}
+	});
+	for (const material of materials.keys()) {
+		material.transparent = true;
+		material.opacity = 0;
+		material.needsUpdate = true;
+	}
+	return engine.tween({
+		duration,
+		easing: "easeOutQuad",
+		update: (t) => {
+			for (const [material, original] of materials) {
+				material.opacity = original.opacity * t;
+			}
+		},
+		complete: () => {
+			for (const [material, original] of materials) {
+				material.transparent = original.transparent;
+				material.needsUpdate = true;
+			}
+		},
+	});
+}
+/*-----------------------------------------*/
@@ -0,0 +1,48 @@
+import * as THREE from 'three';
+
+/*------------ Materials Setup ------------*/
+// Materials are used in tandem with geometries to create a Mesh object.
+// Phong material is used as it has shadows from the lighting.
+// Documentation on phong material here:
+// https://threejs.org/docs/index.html?q=mes#api/en/materials/MeshPhongMaterial
+
+// This function generates materials as its called, prventing one from needing to make
+// a new variable for a material each time one is needed.
+/*		createMat(
+				needStencil: boolean; --> true MAKES THE INVISIBLE 'WINDOW' MATERIAL THAT WRITES THE STENCIL BUFFER,
+				                          false MAKES A MATERIAL THAT ONLY RENDERS WHERE THAT WINDOW WAS DRAWN.
+				portal: object; --> A PORTAL HANDLE FROM THE STENCIL REGISTRY (stencil.js). ITS NUMBER IS USED AS THE STENCIL REFERENCE.
+				pColor: string; --> STRING THAT IS A COLOR (THINK CSS COLOR STRINGS).
+				objColor: string; --> STRING THAT IS A COLOR (THINK CSS COLOR STRINGS).
+) */
+export function createMat(needStencil, portal, pColor, objColor) {
+	if (needStencil) {
+		const planeMaterial = new THREE.MeshPhongMaterial({color: pColor});
+		planeMaterial.stencilWrite = true;
+		planeMaterial.stencilRef = portal.ref;
+		planeMaterial.stencilFunc = THREE.AlwaysStencilFunc;
+		if (portal.parent && portal.parent.mask) {
+			// A nested portal only opens where its parent's window was drawn (see stencil.js).
+			planeMaterial.stencilFunc = THREE.EqualStencilFunc;
+			planeMaterial.stencilFuncMask = portal.parent.mask;
+		}
+		planeMaterial.stencilZPass = THREE.ReplaceStencilOp;
+		// Nested windows are renumbered with the content while the camera is inside a face (see traversal.js).
+		planeMaterial.userData.portalRef = portal.ref;
+		planeMaterial.colorWrite = false;
+		planeMaterial.depthWrite = false;
+		return planeMaterial;
+	}
+	else {
+		const objectMaterial = new THREE.MeshPhongMaterial({color: objColor});
+		objectMaterial.stencilWrite = true;
+		objectMaterial.stencilRef = portal.ref;
+		objectMaterial.stencilFunc = THREE.EqualStencilFunc;
+		objectMaterial.userData.portalRef = portal.ref;
+		return objectMaterial;
+	}
+};
+
+// More detailed material documentation. There's a lot you can do with these.
+// https://threejs.org/docs/index.html?q=materials#api/en/constants/Materials
+/*-----------------------------------------*/
@@ -0,0 +1,203 @@
+import { clone } from 'three/addons/utils/SkeletonUtils.js';
+import { applyStencil, setStencil } from './stencil.js';
+import { InstancedModel } from './instancing.js';
+import { ModelLoader } from './formats.js';
+
+/*------------ Model Loading --------------*/
+// Because the models in the Impossible Cube needed to be stencil enabled,
+// a custom async loading function 'loadModel(...)' was created. the function takes 3 parameters:
+/*
+		await loadModel("path_to_model", portal, options);
+			path_to_model: string; --> relative or absolute path to the model file.
+			portal: object; --> portal handle from the stencil registry (stencil.js) the object is drawn in.
+			                    Leave it out (or pass null) if the object doesn't need to be stencil enabled.
+			options: object; --> optional.
+			                     { filter: (node) => boolean } only masks the meshes the filter returns true for.
+			                     { cache: ModelCache } loads through a cache instead of parsing the file again (see bellow).
+			                     { type: "glb" } says what the file is when the path doesn't end in it (see formats.js).
+*/
+// glTF (.gltf, .glb, compressed or not), .obj and .fbx files all load, see formats.js.
+// Every mesh in the file is masked, no matter how the model was put together,
+// so models from Blockbench, Blender or Sketchfab all work the same way.
+// The animation clips in the file are kept as object.animations (see animation.js).
+// the loader uses an async loading function, so you want to make sure you use 'await'
+// in your function call.
+let defaultLoader = null;
+
+export async function loadModel(path, portal, options = {}) {
+	if (options.cache) {
+		return options.cache.instance(path, portal, options);
+	}
+	if (!defaultLoader) {
+		defaultLoader = new ModelLoader();
+	}
+	const data = await defaultLoader.load(path, { type: options.type });
+	const object = data.scene.children[0];
+	object.animations = data.animations;
+	if (portal) {
+		applyStencil(object, portal, options.filter);
+	}
+	return object;
+};
+
+// Frees the geometries, materials and textures of everything under 'object'.
+// Shared ones are fine to free more than once.
+export function disposeObject(object) {
+	object.traverse((node) => {
+		if (node.geometry) {
+			node.geometry.dispose();
+		}
+		if (node.material) {
+			const materials = Array.isArray(node.material) ? node.material : [node.material];
+			for (const material of materials) {
+				disposeMaterial(material);
+			}
+		}
+	});
+};
+
+function disposeMaterial(material) {
+	for (const value of Object.values(material)) {
+		if (value && value.isTexture) {
+			value.dispose();
+		}
+	}
+	material.dispose();
+}
+/*-----------------------------------------*/
+
+/*-------------- Model Cache --------------*/
+// Loading the same file 30 times would parse it 30 times. The cache parses every file once
+// and hands out copies of it instead. The copies share their geometry, and they share their
+// materials with every other copy in the same portal. A material is only copied when a
+// portal needs different stencil settings for it.
+// Because of that, changing the material of one copy changes it for all copies in that portal.
+// The engine has one of these as engine.models, and engine.loadModel(...) goes through it.
+// options: { manager: THREE.LoadingManager, onProgress: (path, event) => {} } to follow the loading
+// (see loading.js), and { renderer, dracoPath, basisPath } for compressed files (see formats.js).
+export class ModelCache {
+	constructor(options = {}) {
+		this.loader = new ModelLoader(options);
+		this.onProgress = options.onProgress ?? null;
+		this.files = new Map();
+		this.variants = new Map();
+		// How many copies of every file are handed out, so release(path) knows when nobody needs it anymore.
+		this.users = new Map();
+	}
+
+	// The parsed file. Every call with the same path shares the same promise.
+	// 'type' is only needed when the path doesn't tell the format (see formats.js).
+	load(path, type) {
+		if (!this.files.has(path)) {
+			const onProgress = this.onProgress && ((event) => this.onProgress(path, event));
+			const file = this.loader.load(path, { type, onProgress }).catch((error) => {
+				// Let the next call try again, instead of remembering the failure.
+				this.files.delete(path);
+				throw error;
+			});
+			this.files.set(path, file);
+		}
+		return this.files.get(path);
+	}
+
+	// A new copy of the model in the file, masked to the portal like loadModel(...) does.
+	async instance(path, portal, options = {}) {
+		const data = await this.loadFor(path, options.type);
+		const object = clone(data.scene.children[0]);
+		object.animations = data.animations;
+		if (portal) {
+			object.traverse((node) => {
+				if (!node.material || (options.filter && !options.filter(node))) {return};
+				node.material = Array.isArray(node.material)
+					? node.material.map((material) => this.stencilMaterial(material, portal))
+					: this.stencilMaterial(node.material, portal);
+			});
+		}
+		return object;
+	}
+
+	// Like instance(...), but 'count' copies drawn as one InstancedModel (see instancing.js).
+	async instanced(path, portal, count, options = {}) {
+		const data = await this.loadFor(path, options.type);
+		return new InstancedModel(data.scene.children[0], count, (material, mesh) => {
+			if (!portal || (options.filter && !options.filter(mesh))) {
+				return material;
+			}
+			return this.stencilMaterial(material, portal);
+		});
+	}
+
+	// The copy of 'material' that draws inside 'portal'. Made the first time it's asked for.
+	stencilMaterial(material, portal) {
+		if (!this.variants.has(material)) {
+			this.variants.set(material, new Map());
+		}
+		const variants = this.variants.get(material);
+		if (!variants.has(portal)) {
+			variants.set(portal, setStencil(material.clone(), portal));
+		}
+		return variants.get(portal);
+	}
+
+	use(path) {
+		this.users.set(path, (this.users.get(path) ?? 0) + 1);
+	}
+
+	// load(...) for one more copy. The copy is counted before the file is in, so a release(path)
+	// of another copy meanwhile can't free it, and given back again if the file doesn't load.
+	async loadFor(path, type) {
+		this.use(path);
+		try {
+			return await this.load(path, type);
+		} catch (error) {
+			this.release(path);
+			throw error;
+		}
+	}
+
+	// Gives back one copy of the file at 'path' (or one InstancedModel). Once every copy is given
+	// back, the file and its stencil materials are freed, and the next copy parses it again.
+	release(path) {
+		const users = (this.users.get(path) ?? 0) - 1;
+		if (users > 0) {
+			this.users.set(path, users);
+			return;
+		}
+		this.users.delete(path);
+		const file = this.files.get(path);
+		if (!file) {return};
+		this.files.delete(path);
+		file.then((data) => {
+			data.scene.traverse((node) => {
+				if (!node.material) {return};
+				for (const material of Array.isArray(node.material) ? node.material : [node.material]) {
+					for (const variant of (this.variants.get(material) ?? new Map()).values()) {
+						variant.dispose();
+					}
+					this.variants.delete(material);
+				}
+			});
+			disposeObject(data.scene);
+		}, () => {});
+	}
+
+	// Frees everything that was loaded. Copies handed out before can't be drawn afterwards.
+	async dispose() {
+		const files = await Promise.allSettled([...this.files.values()]);
+		for (const file of files) {
+			if (file.status === 'fulfilled') {
+				disposeObject(file.value.scene);
+			}
+		}
+		for (const variants of this.variants.values()) {
+			for (const material of variants.values()) {
+				material.dispose();
+			}
+		}
+		this.files.clear();
+		this.variants.clear();
+		this.users.clear();
+		this.loader.dispose();
+	}
+};
+/*-----------------------------------------*/
@@ -0,0 +1,152 @@
+import * as THREE from 'three';
+
+/*-------------- Navigation ---------------*/
+// Moves the camera from the face it looks at to the face next to it, the way the screen is turned:
+/*		engine.navigate("up");      --> "up", "down", "left" OR "right".
+		engine.navigate("left", { duration: 1, easing: "easeInOutCubic" });  --> SEE tween.js.
+*/
+// The next face is the one whose window faces the most in that direction, so on a cube "up" from
+// the front is the top, and "up" again goes over to the back. When two windows face the same way
+// (like the small and the big cube), the one closest to the current face wins.
+// The camera swings around the orbit center of the OrbitControls, so dragging keeps working after.
+// With 'snapToFace: true' in the engine options (or engine.navigation.snap = true), letting go
+// of an orbit drag also swings the camera to look straight at the closest face.
+
+const DIRECTIONS = {
+	up: [0, 1],
+	down: [0, -1],
+	left: [-1, 0],
+	right: [1, 0],
+};
+
+const screenUp = new THREE.Vector3();
+const screenRight = new THREE.Vector3();
+const wanted = new THREE.Vector3();
+const normal = new THREE.Vector3();
+const center = new THREE.Vector3();
+const faceCenter = new THREE.Vector3();
+const dragEnd = new THREE.Vector3();
+
+export class Navigation {
+	constructor(engine) {
+		this.engine = engine;
+		this.snap = engine.options.snapToFace;
+		// The face the camera is turning to, while it's turning.
+		this.target = null;
+		this.tween = null;
+		this.dragStart = new THREE.Vector3();
+
+		this.onDragStart = () => {
+			// Grabbing the camera stops it from turning on its own.
+			if (this.tween) {
+				this.tween.stop();
+				this.tween = null;
+				this.target = null;
+			}
+			this.engine.camera.getWorldDirection(this.dragStart);
+		};
+		this.onDragEnd = () => {
+			if (!this.snap) {return};
+			// Zooming starts and ends a drag too, but doesn't turn the camera.
+			if (this.engine.camera.getWorldDirection(dragEnd).angleTo(this.dragStart) < 0.01) {return};
+			const face = this.engine.faceInView();
+			if (face) {
+				this.turnTo(face);
+			}
+		};
+		engine.controls.addEventListener('start', this.onDragStart);
+		engine.controls.addEventListener('end', this.onDragEnd);
+	}
+
+	// The face next to 'face' in a screen direction, or null if there is none.
+	neighbor(face, direction) {
+		if (!DIRECTIONS[direction]) {
+			throw new Error(`Can't navigate "${direction}", only ${Object.keys(DIRECTIONS).join(", ")}.`);
+		}
+		const [x, y] = DIRECTIONS[direction];
+		const camera = this.engine.camera;
+		camera.updateMatrixWorld();
+		face.getWorldNormal(normal);
+		face.getWorldCenter(faceCenter);
+		// The screen's up and right, laid flat onto the window, so a half finished turn doesn't tilt them.
+		screenUp.setFromMatrixColumn(camera.matrixWorld, 1);
+		screenUp.addScaledVector(normal, -screenUp.dot(normal)).normalize();
+		screenRight.crossVectors(screenUp, normal);
+		wanted.set(0, 0, 0).addScaledVector(screenRight, x).addScaledVector(screenUp, y);
+
+		let best = null;
+		let bestScore = 0.5;
+		let bestDistance = Infinity;
+		for (const other of this.engine.faces.values()) {
+			if (other === face || !other.plane || !other.portal.visible) {continue};
+			const score = other.getWorldNormal(normal).dot(wanted);
+			const distance = other.getWorldCenter(center).distanceTo(faceCenter);
+			if (score > bestScore + 1e-6 || (Math.abs(score - bestScore) <= 1e-6 && distance < bestDistance)) {
+				best = other;
+				bestScore = score;
+				bestDistance = distance;
+			}
+		}
+		return best;
+	}
+
+	navigate(direction, options = {}) {
+		const face = this.target ?? this.engine.faceInView();
+		if (!face) {return null};
+		const next = this.neighbor(face, direction);
+		if (next) {
+			this.turnTo(next, options);
+		}
+		return next;
+	}
+
+	// Swings the camera to look straight at 'face'. Same options as focusFace(...) in "camera" mode.
+	turnTo(face, options = {}) {
+		if (this.tween) {
+			this.tween.stop();
+		}
+		this.target = face;
+		this.tween = this.engine.focus.tweenCamera(face, {
+			duration: options.duration ?? 0.6,
+			easing: options.easing ?? "easeInOutQuad",
+			distance: options.distance ?? null,
+		}, () => {
+			this.target = null;
+			this.tween = null;
+		});
+		return this.tween;
+	}
+
+	// Moves the camera back to where it started, looking at the center.
+	reset(options = {}) {
+		if (this.tween) {
+			this.tween.stop();
+		}
+		const camera = this.engine.camera;
+		const controls = this.engine.controls;
+		const fromPosition = camera.position.clone();
+		const fromTarget = controls.target.clone();
+		const toPosition = new THREE.Vector3().fromArray(this.engine.options.cameraPosition);
+		const toTarget = new THREE.Vector3();
+		this.target = null;
+		this.tween = this.engine.tween({
+			duration: options.duration ?? 0.6,
+			easing: options.easing ?? "easeInOutQuad",
+			update: (t) => {
+				camera.position.lerpVectors(fromPosition, toPosition, t);
+				controls.target.lerpVectors(fromTarget, toTarget, t);
+				controls.update();
+			},
+			complete: () => {
+				this.tween = null;
+			},
+		});
+		return this.tween;
+	}
+
+	dispose() {
+		this.engine.controls.removeEventListener('start', this.onDragStart);
+		this.engine.controls.removeEventListener('end', this.onDragEnd);
+	}
+};
+/*-----------------------------------------*/
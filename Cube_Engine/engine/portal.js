@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+import { createMat } from './materials.js';
+import { setStencil, STENCIL_BITS } from './stencil.js';
+
+/*------------- Stencil Portals -----------*/
+// A portal is an invisible 'window' (the mask) and a world that can only be seen through it.
+// The mask can have any shape: a geometry, or a model loaded from a file.
+/*		const portal = engine.addPortal("hex", new THREE.CircleGeometry(3, 6));
+		const portal = engine.addPortal("tri", await engine.loadModel("models/triangle.gltf"));
+		portal.mask.position.z = 3;                 --> MOVE THE WINDOW WITHOUT MOVING THE WORLD BEHIND IT.
+		portal.add(await engine.loadModel("models/ring.gltf"));  --> ONLY DRAWN THROUGH THE WINDOW.
+*/
+// add(...) masks whatever it is given to the portal, so the models don't have to be loaded
+// with the portal handle first. Faces in a cube config are StencilPortals too (see faces.js).
+// The portal owns a handle from the stencil registry (stencil.js) and can be passed anywhere
+// a handle is expected, but portal.handle is the one to give to loadModel(...).
+// Portals can be nested: engine.addPortal("door", mask, { parent: portal }) puts a portal in the
+// world of another one, where it can only be seen through the parent's window. The engine needs
+// room for the extra level first, see 'stencilLevels' in CubeEngine.js.
+
+// Masks are drawn before anything else, and the masks of nested portals after the masks of
+// their parents, because they only open where the parent's mask was drawn.
+function maskRenderOrder(handle) {
+	return handle.depth - 1 - STENCIL_BITS;
+}
+
+export class StencilPortal extends THREE.Group {
+	// 'handle' comes from engine.createPortal(...). 'mask' is optional and can be set later with setMask(...).
+	// options: { cache: ModelCache } shares the masked materials with models loaded for the same
+	// portal, instead of changing the materials of the added objects in place.
+	constructor(handle, mask, options = {}) {
+		super();
+		this.isStencilPortal = true;
+		this.handle = handle;
+		this.name = handle.name;
+		this.cache = options.cache ?? null;
+		this.maskMaterial = createMat(true, handle, "white", "white");
+		this.mask = null;
+		// The layer everything in the world is drawn on. Worlds with their own lights get one (see lighting.js).
+		this.layer = 0;
+		if (mask) {
+			this.setMask(mask);
+		}
+	}
+
+	get ref() {
+		return this.handle.ref;
+	}
+
+	// Uses a geometry or an object (every mesh in it) as the window. Replaces the old mask.
+	setMask(mask) {
+		if (this.mask) {
+			super.remove(this.mask);
+		}
+		if (mask.isBufferGeometry) {
+			mask = new THREE.Mesh(mask);
+		}
+		mask.traverse((node) => {
+			if (!node.isMesh) {return};
+			node.material = this.maskMaterial;
+			// The window has to write the stencil buffer before anything inside of it is drawn.
+			node.renderOrder = maskRenderOrder(this.handle);
+		});
+		this.mask = mask;
+		super.add(mask);
+		return mask;
+	}
+
+	add(...objects) {
+		for (const object of objects) {
+			this.stencil(object);
+			if (this.layer !== 0) {
+				this.traverseContent((node) => node.layers.set(this.layer), object);
+			}
+		}
+		return super.add(...objects);
+	}
+
+	// Makes every mesh under 'object' draw only inside this portal.
+	// 'filter' works like the one of applyStencil(...) in stencil.js.
+	// Nested portals (and everything in them) are left alone, they have their own numbers.
+	stencil(object, filter) {
+		if (object.isStencilPortal && object !== this) {return object};
+		if (object.material && object.material !== this.maskMaterial && (!filter || filter(object))) {
+			object.material = Array.isArray(object.material)
+				? object.material.map((material) => this.stencilMaterial(material))
+				: this.stencilMaterial(object.material);
+		}
+		for (const child of object.children) {
+			this.stencil(child, filter);
+		}
+		return object;
+	}
+
+	// Calls 'callback' for everything drawn through this window: not the mask, and not nested portals.
+	traverseContent(callback, object = this) {
+		if ((object.isStencilPortal && object !== this) || object === this.mask) {return};
+		callback(object);
+		for (const child of object.children) {
+			this.traverseContent(callback, child);
+		}
+	}
+
+	stencilMaterial(material) {
+		// Already masked to this portal, for example because it was loaded with the handle.
+		if (material.stencilWrite && (material.userData.portalRef ?? material.stencilRef) === this.ref && material.stencilFunc === THREE.EqualStencilFunc) {
+			return material;
+		}
+		return this.cache ? this.cache.stencilMaterial(material, this.handle) : setStencil(material, this.handle);
+	}
+
+	dispose() {
+		this.maskMaterial.dispose();
+	}
+};
+/*-----------------------------------------*/
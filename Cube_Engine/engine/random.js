@@ -0,0 +1,54 @@
+/*------------- Random Numbers ------------*/
+// Math.random() is different on every run, so a bug in a shuffling face can't be shown twice.
+// The engine has a seeded random source instead. The same seed always gives the same numbers:
+/*		const engine = new CubeEngine(container, { seed: "hello" });  --> OR OPEN THE PAGE WITH ?seed=hello
+		engine.random.next();       --> A NUMBER FROM 0 UP TO (BUT NOT INCLUDING) 1, LIKE Math.random().
+		engine.random.range(-5, 5); --> A NUMBER FROM -5 UP TO 5.
+		engine.random.int(4);       --> A WHOLE NUMBER FROM 0 TO 3.
+*/
+// Every face gets its own source as face.random (see faces.js). Faces load at the same time,
+// in whatever order their files arrive, so sharing one source would still mix up the numbers.
+// Without a seed the engine picks one, and engine.seed tells you which one it was.
+
+// Turns any string into a 32 bit number to start the generator from.
+function hashSeed(seed) {
+	let hash = 2166136261;
+	for (let i = 0; i < seed.length; i++) {
+		hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619);
+	}
+	return hash >>> 0;
+}
+
+export function randomSeed() {
+	return Math.floor(Math.random() * 2**32).toString(36);
+}
+
+export class Random {
+	constructor(seed = randomSeed()) {
+		this.seed = String(seed);
+		this.state = hashSeed(this.seed);
+	}
+
+	// The mulberry32 generator: small, fast and good enough for animations.
+	next() {
+		this.state = (this.state + 0x6D2B79F5) >>> 0;
+		let t = this.state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 2**32;
+	}
+
+	range(min, max) {
+		return min + this.next() * (max - min);
+	}
+
+	int(max) {
+		return Math.floor(this.next() * max);
+	}
+
+	// A separate source for 'name'. It doesn't depend on how many numbers this one gave out already.
+	fork(name) {
+		return new Random(`${this.seed}/${name}`);
+	}
+};
+/*-----------------------------------------*/
@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+/*------------ Stencil Registry -----------*/
+// Every portal (a face 'window' and everything behind it) needs its own stencil reference number.
+// Instead of picking the numbers by hand, the engine keeps a registry that hands them out:
+/*		const portal = engine.stencil.allocate("front");      --> NEXT FREE NUMBER.
+		const portal = engine.stencil.allocate("front", 2);   --> ASKS FOR A SPECIFIC NUMBER.
+*/
+// The returned portal handle is what createMat(...) and loadModel(...) take instead of a raw number.
+// Asking again with the same name gives back the same handle, so everything in one portal
+// shares its number. Asking for a number that another portal already owns is an error, because
+// the two portals would show each others content.
+
+// The stencil buffer is 8 bits per pixel, so 255 is the biggest reference number there is.
+export const STENCIL_BITS = 8;
+export const MAX_STENCIL_REF = 2**STENCIL_BITS - 1;
+
+// NESTED PORTALS.
+// A portal can sit inside the world of another portal, and hold more portals itself.
+// To make that work, the 8 bits of the stencil buffer are split into levels:
+/*		new StencilRegistry([4, 4]);  --> 15 PORTALS AT THE FIRST LEVEL, 15 INSIDE EACH OF THOSE.
+		new StencilRegistry([4, 2, 2]);  --> THREE LEVELS DEEP.
+		const portal = registry.allocate("front");
+		const inner = registry.allocate("front/door", undefined, portal);
+*/
+// The number of a nested portal keeps the bits of its parent and adds its own above them,
+// so 'front' could be 0b0001 and 'front/door' 0b0001_0001. The mask of the nested portal
+// compares only the parent's bits (the material's stencilFuncMask), so it only opens where the
+// parent was drawn, and writes its whole number there. Content still compares every bit, so
+// each level's content is only visible through its own chain of windows.
+// The default is a single level of 8 bits, which is 255 portals and no nesting.
+
+function levelMask(levels, depth) {
+	let shift = 0;
+	for (let level = 0; level < depth - 1; level++) {
+		shift += levels[level];
+	}
+	return { shift, bits: (2**levels[depth - 1] - 1) << shift };
+}
+
+export class StencilRegistry {
+	constructor(levels = [STENCIL_BITS]) {
+		const total = levels.reduce((sum, bits) => sum + bits, 0);
+		if (levels.length === 0 || !levels.every((bits) => Number.isInteger(bits) && bits > 0) || total > STENCIL_BITS) {
+			throw new RangeError(`Stencil levels have to be whole numbers of bits that add up to at most ${STENCIL_BITS}, not [${levels.join(", ")}].`);
+		}
+		this.levels = levels;
+		this.byName = new Map();
+		this.byRef = new Map();
+		// Reference number 0 is what the stencil buffer is cleared to: everything outside of every portal.
+		this.world = Object.freeze({ name: "world", ref: 0, depth: 0, parent: null, mask: 0 });
+		this.byName.set("world", this.world);
+		this.byRef.set(0, this.world);
+	}
+
+	// 'parent' is the handle of the portal this one sits inside. Leave it out for the first level.
+	allocate(name, ref, parent = this.world) {
+		const existing = this.byName.get(name);
+		if (existing) {
+			if (ref !== undefined && ref !== existing.ref) {
+				throw new Error(`Stencil portal "${name}" already has the reference number ${existing.ref}, it can't also have ${ref}.`);
+			}
+			return existing;
+		}
+
+		const depth = parent.depth + 1;
+		if (depth > this.levels.length) {
+			throw new RangeError(`Stencil portal "${name}" would be nested ${depth} deep inside "${parent.name}", but the stencil buffer is only split into ${this.levels.length} level(s).`);
+		}
+		const level = levelMask(this.levels, depth);
+		if (ref === undefined) {
+			ref = this.nextFreeRef(parent);
+		} else if (!Number.isInteger(ref) || ref < 0 || ref > MAX_STENCIL_REF) {
+			throw new RangeError(`Stencil portal "${name}" asked for the reference number ${ref}, but it has to be a whole number from 0 to ${MAX_STENCIL_REF}.`);
+		} else if ((ref & ~(parent.mask | level.bits)) !== 0 || (ref & parent.mask) !== parent.ref || (ref & level.bits) === 0) {
+			throw new RangeError(`Stencil portal "${name}" asked for the reference number ${ref}, which doesn't fit inside "${parent.name}" (${parent.ref}).`);
+		} else if (this.byRef.has(ref)) {
+			throw new Error(`Stencil portals "${this.byRef.get(ref).name}" and "${name}" both want the reference number ${ref}.`);
+		}
+
+		const portal = Object.freeze({ name, ref, depth, parent, mask: parent.mask | level.bits });
+		this.byName.set(name, portal);
+		this.byRef.set(ref, portal);
+		return portal;
+	}
+
+	nextFreeRef(parent = this.world) {
+		const depth = parent.depth + 1;
+		const { shift } = levelMask(this.levels, depth);
+		const count = 2**this.levels[depth - 1] - 1;
+		for (let number = 1; number <= count; number++) {
+			const ref = parent.ref | (number << shift);
+			if (!this.byRef.has(ref)) {
+				return ref;
+			}
+		}
+		const where = parent === this.world ? "" : ` inside "${parent.name}"`;
+		throw new RangeError(`The stencil buffer only has room for ${count} portals${where}, and all of them are in use.`);
+	}
+
+	get(name) {
+		return this.byName.get(name);
+	}
+
+	// Gives the reference number back, so another portal can use it.
+	release(portal) {
+		if (portal === this.world || this.byName.get(portal.name) !== portal) {return};
+		this.byName.delete(portal.name);
+		this.byRef.delete(portal.ref);
+	}
+};
+/*-----------------------------------------*/
+
+// Makes every mesh under 'object' draw only inside the portal, however deep it sits in the
+// hierarchy, and for every material of meshes that have more than one.
+// 'filter' is optional: a function (node) => true/false that picks which meshes get masked.
+// Meshes it returns false for are left as they were.
+export function applyStencil(object, portal, filter) {
+	object.traverse((node) => {
+		if (!node.material || (filter && !filter(node))) {return};
+		const materials = Array.isArray(node.material) ? node.material : [node.material];
+		for (const material of materials) {
+			setStencil(material, portal);
+		}
+	});
+	return object;
+};
+
+// The stencil settings of a single material inside a portal.
+export function setStencil(material, portal) {
+	material.stencilWrite = true;
+	material.stencilRef = portal.ref;
+	material.stencilFunc = THREE.EqualStencilFunc;
+	// stencilRef changes while the camera is inside a face (see traversal.js), this doesn't.
+	material.userData.portalRef = portal.ref;
+	return material;
+};
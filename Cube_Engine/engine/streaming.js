@@ -0,0 +1,153 @@
+import { loadFaceContent, unloadFaceContent } from './faces.js';
+import { fadeInFace } from './loading.js';
+
+/*------------- Lazy Loading --------------*/
+// engine.buildCube(config, { lazy: true }) only builds the windows. The models behind them are
+// loaded a few faces at a time, the most important ones first:
+/*		1. THE WORLD (config.world).
+		2. THE FACE THE CAMERA IS INSIDE OF OR FOCUSED ON, AND THE FACES NESTED IN IT.
+		3. THE FACE THE CAMERA LOOKS AT THE MOST, THEN THE OTHER FACES IN VIEW,
+		   WITH THE FACES NESTED IN THEM.
+		4. EVERYTHING ELSE, IN THE BACKGROUND: FACES TURNED AWAY, THEN HIDDEN ONES, THEN NESTED ONES.
+*/
+// The order is worked out again every frame, so turning the camera to a face moves it up the line.
+// Engine options:
+/*		loadConcurrency: 2,       --> HOW MANY FACES LOAD AT THE SAME TIME.
+		backgroundLoading: true,  --> false ONLY LOADS A FACE ONCE IT'S IN VIEW, FOCUSED OR ENTERED.
+		unloadAfter: null,        --> SECONDS A FACE CAN BE OUT OF VIEW BEFORE ITS MODELS ARE UNLOADED.
+		                              THEY COME BACK ONCE IT'S IN VIEW AGAIN. null KEEPS THEM.
+*/
+// The engine fires 'faceload' and 'faceunload' with the face as event.face, and 'loaderror'
+// with event.face and event.error when a face couldn't be loaded.
+// engine.streaming.load(face) loads a face right away, whatever its turn.
+
+const WORLD = 4;
+const APPROACHED = 3;
+const IN_VIEW = 2;
+
+export class Streaming {
+	constructor(engine) {
+		this.engine = engine;
+		this.concurrency = engine.options.loadConcurrency;
+		this.background = engine.options.backgroundLoading;
+		this.unloadAfter = engine.options.unloadAfter;
+		// Seconds a face takes to fade in once it has loaded (see fadeInFace in loading.js).
+		this.fadeIn = 0;
+		// Every lazy face, in the order of the config.
+		this.faces = [];
+		this.loading = 0;
+		// When every loaded face was last in view, in milliseconds.
+		this.seen = new Map();
+		// Unloaded faces wait until they are in view again, instead of coming back in the background.
+		this.unloaded = new Set();
+		// Faces that failed are only tried again through load(face).
+		this.failed = new Set();
+	}
+
+	// Hands faces, and the faces nested in them, over to be loaded in turn.
+	add(faces) {
+		const queue = (faces) => {
+			for (const face of faces) {
+				this.faces.push(face);
+				queue(face.faces);
+			}
+		};
+		queue(faces);
+		this.pump();
+	}
+
+	// How soon 'face' should load. Higher goes first, below 0 doesn't load at all.
+	priority(face) {
+		if (face.portal.handle === this.engine.stencil.world) {return WORLD};
+		const { traversal, focus } = this.engine;
+		for (let outer = face; outer; outer = outer.parent) {
+			if (outer === traversal.inside || outer === focus.face) {return APPROACHED};
+		}
+		// Nested faces are seen through the window of the face at the first level, so they're in
+		// view as much as it is. It still loads first, being ahead of them in this.faces.
+		let top = face;
+		while (top.parent) {
+			top = top.parent;
+		}
+		const alignment = focus.alignment(top);
+		if (alignment > 0) {return IN_VIEW + alignment};
+		if (!this.background) {return -1};
+		if (face.parent) {return 0};
+		return face.portal.visible ? 1 : 0.5;
+	}
+
+	// Loads the models of 'face' now. Resolves with the face once they are there.
+	load(face) {
+		if (face.state === "empty") {
+			this.unloaded.delete(face);
+			this.failed.delete(face);
+			this.loading++;
+			loadFaceContent(this.engine, face).then(() => {
+				this.seen.set(face, performance.now());
+				if (this.fadeIn) {
+					fadeInFace(this.engine, face, this.fadeIn);
+				}
+				this.engine.dispatchEvent({ type: 'faceload', face });
+			}, (error) => {
+				this.failed.add(face);
+				this.engine.dispatchEvent({ type: 'loaderror', face, error, progress: this.engine.loading.progress() });
+			}).finally(() => {
+				this.loading--;
+				this.pump();
+			});
+		}
+		return loadFaceContent(this.engine, face);
+	}
+
+	// The waiting face that should load first, or null.
+	next() {
+		let best = null;
+		let bestPriority = -1;
+		for (const face of this.faces) {
+			if (face.state !== "empty" || this.failed.has(face)) {continue};
+			const priority = this.priority(face);
+			if (priority < IN_VIEW && this.unloaded.has(face)) {continue};
+			if (priority > bestPriority) {
+				best = face;
+				bestPriority = priority;
+			}
+		}
+		return best;
+	}
+
+	// Starts loading the next faces, as long as fewer than 'concurrency' are loading.
+	pump() {
+		while (this.loading < this.concurrency) {
+			const face = this.next();
+			if (!face) {return};
+			this.load(face);
+		}
+	}
+
+	// Called by the engine every frame.
+	update() {
+		if (this.faces.length === 0) {return};
+		this.pump();
+		if (this.unloadAfter === null) {return};
+		const now = performance.now();
+		for (const face of this.faces) {
+			if (face.state !== "loaded") {continue};
+			if (this.priority(face) >= IN_VIEW) {
+				this.seen.set(face, now);
+			} else if (now - this.seen.get(face) > this.unloadAfter * 1000) {
+				unloadFaceContent(this.engine, face);
+				this.seen.delete(face);
+				this.unloaded.add(face);
+				this.engine.dispatchEvent({ type: 'faceunload', face });
+			}
+		}
+	}
+
+	dispose() {
+		this.faces.length = 0;
+		this.seen.clear();
+		this.unloaded.clear();
+		this.failed.clear();
+	}
+};
+/*-----------------------------------------*/
@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+/*----------- Portal Traversal ------------*/
+// Flying the camera through the window of a face takes it into that face's world.
+// The world behind the window becomes the 'main' world, drawn everywhere, and the world the
+// camera came from can only be seen back through the same window. Flying back out undoes it.
+// The engine checks this every frame and tells you about it:
+/*		engine.addEventListener("enter", (event) => console.log("now inside", event.face.name));
+		engine.addEventListener("exit", (event) => console.log("back out of", event.face.name));
+		engine.traversal.enter(engine.getFace("front"));  --> OR JUMP IN WITHOUT FLYING.
+*/
+// Only faces at the first level can be entered, and only from the front of their window.
+// While the camera is inside a face, the windows of the other faces are hidden, because
+// they belong to the world outside. The faces nested in it stay, they're part of its world.
+// Models loaded into a face while the camera is inside (lazy faces, see streaming.js) follow
+// along by themselves. Anything added by hand while inside needs engine.traversal.refresh(object).
+// Turn it off with 'traversal: false' in the engine options.
+
+const raycaster = new THREE.Raycaster();
+const direction = new THREE.Vector3();
+const normal = new THREE.Vector3();
+const position = new THREE.Vector3();
+
+
+export class Traversal {
+	constructor(engine) {
+		this.engine = engine;
+		// The face the camera is inside, or null while it's in the main world.
+		this.inside = null;
+		this.previous = null;
+	}
+
+	// Which way 'from' -> 'to' goes through the window of 'face': 1 into it, -1 out of it, 0 not at all.
+	crossing(face, from, to) {
+		const mask = face.portal.mask;
+		direction.subVectors(to, from);
+		const distance = direction.length();
+		if (!mask || !mask.visible || distance === 0) {return 0};
+		raycaster.set(from, direction.divideScalar(distance));
+		raycaster.far = distance;
+		// The window is only drawn from the front, but it can be crossed both ways.
+		const material = face.portal.maskMaterial;
+		const side = material.side;
+		material.side = THREE.DoubleSide;
+		const hit = raycaster.intersectObject(mask, true)[0];
+		material.side = side;
+		if (!hit) {return 0};
+		normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+		return normal.dot(direction) < 0 ? 1 : -1;
+	}
+
+	// The number the content of 'ref' is drawn with right now. Inside a face, its world takes over
+	// number 0 (so it's drawn everywhere), and the world outside takes the face's number (so it's
+	// only seen back through the window). The faces nested in it lose the face's bits the same way,
+	// so their windows still open where its world was drawn.
+	mapRef(ref) {
+		if (!this.inside) {return ref};
+		const { ref: faceRef, mask } = this.inside.portal.handle;
+		if (ref === 0) {return faceRef};
+		return (ref & mask) === faceRef ? ref ^ faceRef : ref;
+	}
+
+	// Sets the number of every material under 'object' that compares the stencil buffer with its
+	// number (content, and the windows of nested faces, see stencil.js) to mapRef(...) of its own.
+	// The windows at the first level are drawn everywhere, so they keep theirs.
+	refresh(object = this.engine.scene) {
+		const seen = new Set();
+		object.traverse((node) => {
+			if (!node.material) {return};
+			const materials = Array.isArray(node.material) ? node.material : [node.material];
+			for (const material of materials) {
+				if (seen.has(material) || !material.stencilWrite || material.stencilFunc !== THREE.EqualStencilFunc) {continue};
+				seen.add(material);
+				// The number of the portal itself, which setStencil(...) leaves on the material.
+				if (material.userData.portalRef === undefined) {
+					material.userData.portalRef = material.stencilRef;
+				}
+				material.stencilRef = this.mapRef(material.userData.portalRef);
+			}
+		});
+	}
+
+	// Called by the engine every frame, before drawing.
+	update() {
+		const camera = this.engine.camera;
+		camera.updateMatrixWorld();
+		camera.getWorldPosition(position);
+		if (!this.previous) {
+			this.previous = position.clone();
+			return;
+		}
+		if (this.inside) {
+			if (this.crossing(this.inside, this.previous, position) === -1) {
+				this.exit();
+			}
+		} else {
+			for (const face of this.engine.faces.values()) {
+				if (face.parent || !face.plane || face.stencilRef === 0) {continue};
+				if (this.crossing(face, this.previous, position) === 1) {
+					this.enter(face);
+					break;
+				}
+			}
+		}
+		this.previous.copy(position);
+	}
+
+	enter(face) {
+		if (this.inside === face) {return};
+		if (this.inside) {
+			this.exit();
+		}
+		this.inside = face;
+		this.refresh();
+		// Seen from inside, the way back out is the back of the window.
+		face.portal.maskMaterial.side = THREE.DoubleSide;
+		for (const other of this.engine.faces.values()) {
+			if (other !== face && !other.parent && other.stencilRef !== 0) {
+				other.portal.visible = false;
+			}
+		}
+		this.engine.dispatchEvent({ type: 'enter', face });
+	}
+
+	exit() {
+		const face = this.inside;
+		if (!face) {return};
+		this.inside = null;
+		this.refresh();
+		face.portal.maskMaterial.side = THREE.FrontSide;
+		for (const other of this.engine.faces.values()) {
+			other.portal.visible = true;
+		}
+		this.engine.dispatchEvent({ type: 'exit', face });
+	}
+};
+/*-----------------------------------------*/
@@ -0,0 +1,62 @@
+/*---------------- Tweens -----------------*/
+// A tween moves something from one state to another over a number of seconds. It only hands out
+// how far along it is (0 to 1, shaped by the easing), what moves is up to the caller:
+/*		engine.tween({
+			duration: 0.6,                --> SECONDS.
+			easing: "easeInOutQuad",      --> A NAME FROM Easing BELLOW, OR A FUNCTION (t) => t.
+			update: (t) => { plane.scale.setScalar(1 + 3*t); },
+			complete: () => { ... },      --> OPTIONAL. CALLED ONCE, AFTER THE LAST update(1).
+		});
+*/
+// Tweens run in real time, so they still move while the animations are paused or slowed down.
+
+export const Easing = {
+	linear: (t) => t,
+	easeInQuad: (t) => t*t,
+	easeOutQuad: (t) => t*(2 - t),
+	easeInOutQuad: (t) => t < 0.5 ? 2*t*t : 1 - (-2*t + 2)**2 / 2,
+	easeInOutCubic: (t) => t < 0.5 ? 4*t*t*t : 1 - (-2*t + 2)**3 / 2,
+	easeOutBack: (t) => 1 + 2.70158*(t - 1)**3 + 1.70158*(t - 1)**2,
+};
+
+export function resolveEasing(easing) {
+	if (typeof easing === 'function') {
+		return easing;
+	}
+	if (!Easing[easing]) {
+		throw new Error(`There is no easing called "${easing}". Use one of: ${Object.keys(Easing).join(", ")}.`);
+	}
+	return Easing[easing];
+}
+
+export class Tween {
+	constructor(options) {
+		this.duration = options.duration ?? 0.6;
+		this.easing = resolveEasing(options.easing ?? "easeInOutQuad");
+		this.onUpdate = options.update;
+		this.onComplete = options.complete;
+		this.time = 0;
+		this.done = false;
+	}
+
+	// Moves the tween forward. Returns true once it's finished.
+	update(delta) {
+		if (this.done) {return true};
+		this.time += delta;
+		const t = this.duration > 0 ? Math.min(this.time / this.duration, 1) : 1;
+		this.onUpdate(this.easing(t));
+		if (t === 1) {
+			this.done = true;
+			if (this.onComplete) {
+				this.onComplete();
+			}
+		}
+		return this.done;
+	}
+
+	// Ends the tween where it is. 'complete' isn't called.
+	stop() {
+		this.done = true;
+	}
+};
+/*-----------------------------------------*/
@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+/*-------------- World Passes -------------*/
+// Some things three.js only knows once per scene: which lights light a model, and the fog.
+// A world that needs its own (see lighting.js, and fog bellow) is put on a layer of its own (1 to 31)
+// and drawn in a pass of its own, with only its lights and its fog.
+// Everything else (the windows, worlds without their own settings, models with 'stencil: false') is
+// drawn first, on layer 0, with the camera light and scene.fog. The passes share the depth and stencil
+// buffers, so the windows drawn in the first pass still mask the others.
+// A Raycaster only sees layer 0, unless raycaster.layers.enableAll().
+// Fog, on a face in a cube config (see faces.js) or engine.worlds.setFog(portal, fog):
+/*		fog: { color: "black", near: 10, far: 100 },  --> FADES IN BETWEEN 'near' AND 'far' (LINEAR).
+		fog: { color: "black", density: 0.05 },       --> FADES IN FASTER AND FASTER (EXPONENTIAL).
+*/
+// Fog only colors the models. Give the face a 'fill' of the same color (see backgrounds.js), so what's
+// behind the models fades into the fog too, instead of the world bellow the window.
+
+const MAX_LAYER = 31;
+
+export function createFog(config) {
+	const color = config.color ?? "black";
+	if (config.density !== undefined) {
+		return new THREE.FogExp2(color, config.density);
+	}
+	if (config.far === undefined) {
+		throw new Error(`Fog needs a 'far' (and a 'near') distance, or a 'density'.`);
+	}
+	return new THREE.Fog(color, config.near ?? 1, config.far);
+}
+
+export class Worlds {
+	constructor(engine) {
+		this.engine = engine;
+		// Every portal drawn in a pass of its own: { layer, lights, camera, fog }.
+		this.worlds = new Map();
+	}
+
+	freeLayer() {
+		const used = new Set();
+		for (const world of this.worlds.values()) {
+			used.add(world.layer);
+		}
+		for (let layer = 1; layer <= MAX_LAYER; layer++) {
+			if (!used.has(layer)) {return layer};
+		}
+		throw new Error(`Only ${MAX_LAYER} worlds can have their own lights or fog.`);
+	}
+
+	// The pass of 'portal'. The first time, everything in its world moves over to a new layer,
+	// and portal.add(...) puts new things there too.
+	get(portal) {
+		if (!this.worlds.has(portal)) {
+			const layer = this.freeLayer();
+			this.worlds.set(portal, { layer, lights: [], camera: false, fog: null });
+			portal.layer = layer;
+			portal.traverseContent((node) => node.layers.set(layer));
+			this.engine.invalidate();
+		}
+		return this.worlds.get(portal);
+	}
+
+	// Puts the world of 'portal' back on layer 0, once it doesn't need a pass of its own anymore.
+	release(portal) {
+		const world = this.worlds.get(portal);
+		if (!world || world.lights.length !== 0 || world.camera || world.fog) {return};
+		portal.layer = 0;
+		portal.traverseContent((node) => node.layers.set(0));
+		this.worlds.delete(portal);
+		this.engine.invalidate();
+	}
+
+	// Gives the world of 'portal' its own fog (see the top of this file). null takes it away again.
+	setFog(portal, config) {
+		if (!config) {
+			const world = this.worlds.get(portal);
+			if (world) {
+				world.fog = null;
+				this.release(portal);
+			}
+			return null;
+		}
+		const world = this.get(portal);
+		world.fog = config.isFog || config.isFogExp2 ? config : createFog(config);
+		this.engine.invalidate();
+		return world.fog;
+	}
+
+	render(scene, camera) {
+		const renderer = this.engine.renderer;
+		if (this.worlds.size === 0) {
+			renderer.render(scene, camera);
+			return;
+		}
+		const layers = camera.layers.mask;
+		const autoClear = renderer.autoClear;
+		const fog = scene.fog;
+		camera.layers.set(0);
+		renderer.render(scene, camera);
+		renderer.autoClear = false;
+		for (const world of this.worlds.values()) {
+			camera.layers.set(world.layer);
+			scene.fog = world.fog ?? fog;
+			renderer.render(scene, camera);
+		}
+		scene.fog = fog;
+		renderer.autoClear = autoClear;
+		camera.layers.mask = layers;
+	}
+
+	dispose() {
+		this.worlds.clear();
+	}
+};
+/*-----------------------------------------*/
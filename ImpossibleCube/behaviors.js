@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+
+// The animations of the Impossible Cube faces. Each one is registered on the engine in main.js
+// and named by a face in faces.js.
+
+// These were tuned as 'so much per frame' on a 60 Hz screen. Multiplying by
+// frames(delta) keeps them looking the same at any frame rate.
+const FRAME_RATE = 60;
+function frames(delta) {
+	return delta * FRAME_RATE;
+}
+
+// Calls 'tick' FRAME_RATE times per second of animation, for the effects that pick
+// something random every frame.
+function ticker(tick) {
+	let time = 0;
+	return (delta) => {
+		time += frames(delta);
+		for (; time >= 1; time--) {
+			tick();
+		}
+	};
+}
+
+function triangleTunnel(face) {
+	const triangles = face.get("triangle");
+	let direction = 1;
+	return (delta) => {
+		const step = frames(delta);
+		for (let i = 0; i < triangles.length; i++) {
+			triangles[i].position.z += i /300 * direction * step;
+			triangles[i].rotation.z += i/1000 * direction * step;
+			if(triangles[triangles.length-1].position.z > 25) {
+				direction = -4;
+			} else if(triangles[triangles.length-1].position.z < -8.5) {
+				direction = 1;
+			}
+		}
+	};
+};
+
+function blockShuffle(face) {
+	const blocks = face.get("block");
+	const random = face.random;
+	return ticker(() => {
+		let int = Math.floor(random.next()*4);
+		let factor = Math.floor(random.next() *10) / 3;
+		let index = Math.floor(random.next() *blocks.length);
+		if (int % 2 != 0) {
+			blocks[index].position.y = int * (-1);
+			blocks[index].scale.set(factor, factor, factor);
+		} else {
+			blocks[index].position.y = int;
+		}
+	});
+};
+
+function barStream(face) {
+	const bars = [face.get("barZ"), face.get("barY"), face.get("barX")];
+	const random = face.random;
+	return (delta) => {
+		const step = frames(delta);
+		for (let i = 0; i < bars.length; i++) {
+			for (let j = 0; j < bars[i].length; j++) {
+				let factor
+				let inverse = Math.floor(random.next()*4);
+				if (inverse % 2 == 0) {factor = -1}
+				else {factor = 1}
+				let randX = Math.floor(random.next()*3*factor);
+				let randY = Math.floor(random.next()*3*factor);
+				let randZ = Math.floor(random.next()*3*factor);
+				let randDist = Math.floor(random.next()*15)+10;
+				let speed = Math.floor(random.next()*10)/20 * step;
+				if (i == 0) {
+					if (bars[i][j].position.z >= randDist) {
+						bars[i][j].position.set(randX, randY, -randDist);
+					} else {
+						bars[i][j].translateZ(speed);
+					}
+				}else if (i == 1) {
+					if (bars[i][j].position.y >= randDist) {
+						bars[i][j].position.set(randX, -randDist, randZ);
+					} else {
+						bars[i][j].translateZ(-speed);
+					}
+				}else if (i == 2) {
+					if (bars[i][j].position.x <= -randDist) {
+						bars[i][j].position.set(randDist, randY, randZ);
+					} else {
+						bars[i][j].translateZ(-speed);
+					}
+				}
+			}
+		}
+	};
+};
+
+function hexagonPulse(face) {
+	const diamond = face.get("diamond")[0];
+	const hexagons = face.get("hexagon");
+	return (delta) => {
+		const distance = Math.sin((diamond.rotation.y*50)*Math.PI/180);
+		diamond.rotation.x += 0.01 * frames(delta);
+		diamond.rotation.y -= 0.01 * frames(delta);
+		for (let i = 0; i < hexagons.length; i++) {
+			const factor = i % 2 == 0 ? -1 : 1;
+			hexagons[i].scale.set(2-(i*0.25), 2-(i*0.25), 2-(i*0.25));
+			hexagons[i].position.set(0, 0, distance*i*2*factor);
+			hexagons[i].rotation.set(-diamond.rotation.x, 0, 0);
+		}
+	};
+};
+
+function hallway(face) {
+	const cubesBig = face.get("hallPiece");
+	return (delta) => {
+		const turn = 0.005 * frames(delta);
+		for (let c=0; c<cubesBig.length; c++) {
+			if (c%2==0) {
+				cubesBig[c].rotation.x -=turn;
+				cubesBig[c].rotation.y +=turn;
+			} else {
+				cubesBig[c].rotation.x +=turn;
+				cubesBig[c].rotation.y -=turn;
+			}
+		}
+	};
+};
+
+function triangleOrbit(face) {
+	const triangleBig = face.get("triangle");
+	return (delta) => {
+		const turn = 0.001 * frames(delta);
+		for (let t=0; t<triangleBig.length; t++) {
+			if (t==0) {
+				triangleBig[t].rotateX(-2*turn);
+			}else if (t==1) {
+				triangleBig[t].rotateY(turn);
+				triangleBig[t].rotateX(turn);
+			}
+			else {
+				triangleBig[t].rotateX(turn);
+			}
+		}
+	};
+};
+
+function bouncingWorlds(face, params) {
+	const { bounds } = params;
+	const random = face.random;
+	const balls = face.get("ball").map((ball) => {
+		return [ball, new THREE.Vector3(random.next()/2, random.next()/2, random.next()/2)];
+	});
+	return (delta) => {
+		const step = frames(delta);
+		for (const [ball, velocity] of balls) {
+			ball.position.addScaledVector(velocity, step);
+
+			ball.rotation.x += 0.005 * step;
+			ball.rotation.y += 0.005 * step;
+
+			if ((ball.position.x > bounds)||(ball.position.x < -bounds)){velocity.x = -velocity.x}
+			if ((ball.position.y > bounds)||(ball.position.y < -bounds)){velocity.y = -velocity.y}
+			if ((ball.position.z > bounds)||(ball.position.z < -bounds)){velocity.z = -velocity.z}
+		}
+	};
+};
+
+function diamondWave(face, params) {
+	const diamondsBig = face.get("diamond").map((diamond) => [diamond, params.speed]);
+	return (delta) => {
+		for (let i=0; i<diamondsBig.length; i++) {
+			diamondsBig[i][0].position.z += diamondsBig[i][1] * frames(delta);
+			if (diamondsBig[i][0].position.z >20 || diamondsBig[i][0].position.z < -20) {
+				diamondsBig[i][1] = -diamondsBig[i][1];
+			}
+		}
+	};
+};
+
+function mindBender(face) {
+	const thing = face.get("mindBender")[0];
+	let dir = 0.001;
+	return (delta) => {
+		const step = frames(delta);
+		thing.children[0].rotation.z += 0.01 * step;
+		thing.children[1].rotation.z += 0.01 * step;
+		thing.children[0].rotation.y += 0.01 * step;
+		thing.children[1].rotation.y += 0.01 * step;
+		thing.children[3].rotation.x +=0.01 * step;
+		if (thing.children[3].scale.x < 40 || thing.children[3].scale.x>45){
+			dir = -dir
+		}
+		thing.children[3].scale.x +=dir * step;
+		thing.children[3].scale.y +=dir * step;
+		thing.children[3].scale.z +=dir * step;
+	};
+};
+
+export const behaviors = {
+	triangleTunnel,
+	blockShuffle,
+	barStream,
+	hexagonPulse,
+	hallway,
+	triangleOrbit,
+	bouncingWorlds,
+	diamondWave,
+	mindBender,
+};
@@ -0,0 +1,175 @@
+// The Impossible Cube, described as a cube config for engine.buildCube(...).
+// See the top of Cube_Engine/engine/faces.js for what every option does.
+import * as THREE from 'three';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
+
+const bigCube = 2.90*15;
+// The six directions the hallway in the big front face grows in, in load order.
+const hallway = [[-1, 0, 0], [0, 0, 1], [1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, -1]];
+const skyboxes = ["models/SkyBoxCubeSmall.gltf","models/SkyBoxBeach.gltf", "models/SkyBoxForest.gltf", "models/SkyBoxOcean.gltf", "models/SkyBoxSpaceCity.gltf", "models/SkyBoxCityFixed.gltf", "models/SkyBoxVillage.gltf"];
+// The space city and city skyboxes are modeled on their side.
+const turnedSkybox = [0, Math.PI/2, Math.PI/4];
+
+export const impossibleCube = {
+	world: {
+		models: [
+			{ name: "frame", path: "./models/cubeFrame.gltf", stencil: false, scale: 2 },
+			// The big cube around the small one.
+			{ path: "models/cubeFrame.gltf", stencil: false, scale: 30 },
+			{ path: skyboxes[0], scale: 20 },
+		],
+	},
+	faces: [
+		/*---------First Cube face contents-----*/
+		{
+			name: "front",
+			plane: { side: "front" },
+			models: [
+				{ path: "models/filledCube.gltf" },
+				{ name: "ring", path: "models/ring.gltf", count: 10, scale: (i) => i, rotation: [0, 0, Math.PI/2], position: (i) => [(-i/3)*i, 0, 0] },
+				{ name: "ring", path: "models/ring.gltf", count: 10, scale: (i) => i, rotation: [0, 0, -Math.PI/2], position: (i) => [(i/3)*i, 0, 0] },
+				{ name: "ring", path: "models/ring.gltf", count: 10, scale: (i) => 2+i, rotation: [Math.PI/2, 0, 0], position: (i) => [0, 0, (-i/3)*i] },
+				{ path: skyboxes[1], scale: 18 },
+			],
+			behavior: "spin",
+			params: { target: "ring", x: 0.6, y: -0.6, step: 0.06 },
+		},
+		{
+			name: "left",
+			plane: { side: "left" },
+			models: [
+				{ name: "block", path: "models/filledCube.gltf", count: 25, instanced: true, castShadow: true, receiveShadow: true, position: (i) => [Math.floor(i/5)-1.5, -1, -2 + i%5] },
+				{ path: skyboxes[2], scale: 18 },
+			],
+			// The shuffling blocks shadow each other.
+			lights: [
+				{ type: "ambient", intensity: 0.8 },
+				{ type: "directional", intensity: 2.5, position: [2, 8, 3], castShadow: true, shadow: { mapSize: 1024, size: 5 } },
+			],
+			behavior: "blockShuffle",
+		},
+		{
+			name: "right",
+			plane: { side: "right" },
+			models: [
+				{ name: "barZ", path: "models/test.gltf", count: 4, scale: [1, 1, 10] },
+				{ name: "barY", path: "models/test.gltf", count: 4, scale: [1, 1, 10], rotation: [Math.PI/2, 0, 0] },
+				{ name: "barX", path: "models/test.gltf", count: 4, scale: [1, 1, 10], rotation: [0, Math.PI/2, 0] },
+				{ path: skyboxes[3], scale: 18 },
+			],
+			// The ocean is dim and blue, unlike the faces lit by the camera light.
+			lights: [
+				{ type: "hemisphere", color: "lightskyblue", groundColor: "midnightblue", intensity: 1.5 },
+				{ type: "directional", color: "powderblue", intensity: 1, position: [3, 10, 2] },
+			],
+			behavior: "barStream",
+		},
+		{
+			name: "back",
+			plane: { side: "back" },
+			models: [
+				{ name: "triangle", path: "models/triangle.gltf", count: 20, scale: (i) => [6-i/4, 6-i/4, 1], position: [0, 0, -2.5] },
+				{ path: skyboxes[4], scale: 18, rotation: turnedSkybox },
+			],
+			// The tunnel fades into the dark instead of ending.
+			fill: "#05050f",
+			fog: { color: "#05050f", near: 4, far: 14 },
+			// The lights of the space city glow.
+			effects: [new UnrealBloomPass(new THREE.Vector2(512, 512), 0.8, 0.4, 0.5)],
+			behavior: "triangleTunnel",
+		},
+		{
+			name: "top",
+			plane: { side: "top" },
+			models: [
+				{
+					name: "diamond", path: "models/diamond.gltf", scale: 2,
+					children: [{ name: "hexagon", path: "models/hexagon.gltf", count: 8, scale: 5 }],
+				},
+				{ path: skyboxes[5], scale: 18, rotation: turnedSkybox },
+			],
+			// The city looks like it's on an old TV.
+			effects: [new FilmPass(0.6)],
+			behavior: "hexagonPulse",
+		},
+		{
+			name: "bottom",
+			plane: { side: "bottom" },
+			models: [
+				{ path: "models/lilPineTreePlanet.gltf", scale: 2 },
+				{ path: skyboxes[6], scale: 18 },
+			],
+			behavior: "rotate",
+			params: { x: 0.3, y: -0.3, z: 0.3 },
+		},
+
+		/*---------Second Cube face contents-----*/
+		{
+			name: "frontBig",
+			plane: { side: "front", distance: bigCube, scale: 15 },
+			models: [
+				{
+					name: "hallPiece", path: "models/cubeFrame.gltf", count: 60, instanced: true,
+					scale: (i) => 10/Math.floor(i/6),
+					position: (i) => hallway[i%6].map((axis) => axis*40*(Math.floor(i/6)/2)),
+				},
+			],
+			fill: "black",
+			fog: { color: "black", near: 40, far: 260 },
+			behavior: "hallway",
+		},
+		{
+			name: "rightBig",
+			plane: { side: "right", distance: bigCube, scale: 15 },
+			models: skyboxes.map((path) => {
+				return { name: "ball", path, scale: 15, position: (i, random) => [random.next()*20, random.next()*20, random.next()*20] };
+			}),
+			behavior: "bouncingWorlds",
+			params: { bounds: 2.90*25 },
+		},
+		{
+			name: "leftBig",
+			plane: { side: "left", distance: bigCube, scale: 15 },
+			models: [
+				{ path: "models/lilPineTreePlanet.gltf", scale: 20 },
+				{ name: "triangle", path: "models/triangle.gltf", count: 3, scale: (i) => 20*((i+1)/2), rotation: [0, Math.PI/2, 0] },
+			],
+			behavior: "triangleOrbit",
+		},
+		{
+			name: "backBig",
+			plane: { side: "back", distance: bigCube, scale: 15 },
+			models: [
+				{
+					name: "diamond", path: "models/diamond.gltf", count: 64, scale: 30, instanced: true,
+					position: (index) => {
+						const i = Math.floor(index/8);
+						const j = index%8;
+						const offset = j%2==0 ? 0 : 10;
+						return [60-(i*20)+(offset), 60-(j*20), i*j/3];
+					},
+				},
+			],
+			behavior: "diamondWave",
+			params: { speed: 0.3 },
+		},
+		{
+			name: "topBig",
+			plane: { side: "top", distance: bigCube, scale: 15 },
+			models: [
+				{ name: "mindBender", path: "models/MindBender.gltf", scale: 40, rotation: [Math.PI/2, 0, 0] },
+			],
+			behavior: "mindBender",
+		},
+		{
+			name: "bottomBig",
+			plane: { side: "bottom", distance: bigCube, scale: 15 },
+			models: [
+				{ path: "models/SkyBoxVillage.gltf", scale: 75 },
+			],
+			behavior: "rotate",
+			params: { x: 0.06, y: 0.06 },
+		},
+	],
+};
@@ -0,0 +1,18 @@
+import { defineConfig } from 'vite';
+import { fileURLToPath } from 'node:url';
+
+// The Impossible Cube is built on the engine in ../Cube_Engine/engine.
+// 'dedupe' makes sure the engine uses this project's copy of three.js.
+export default defineConfig({
+	resolve: {
+		alias: {
+			'cube-engine': fileURLToPath(new URL('../Cube_Engine/engine/index.js', import.meta.url)),
+		},
+		dedupe: ['three'],
+	},
+	server: {
+		fs: {
+			allow: ['..'],
+		},
+	},
+});